@@ -6,13 +6,30 @@
 // CONFIGURATION & STATE
 // ============================================
 
+// Language registry: a new language needs i18n/<code>.json and one entry here
+const LANGUAGES = [
+  { code: 'en', label: 'EN', name: 'English', dir: 'ltr' },
+  { code: 'it', label: 'IT', name: 'Italiano', dir: 'ltr' }
+];
+
 const CONFIG = {
   LANGUAGE_STORAGE_KEY: 'site-lang',
   THEME_STORAGE_KEY: 'site-theme',
-  SUPPORTED_LANGS: ['en', 'it'],
-  PARTICLE_COUNT_FACTOR: 45000,
-  MAX_PARTICLES: 80,
+  CONTRAST_STORAGE_KEY: 'site-contrast',
+  MOTION_STORAGE_KEY: 'site-motion',
+  PREVIEW_STORAGE_KEY: 'site-previews',
+  I18N_CACHE_PREFIX: 'site-i18n:',
+  DEFAULT_LANG: 'en',
+  SUPPORTED_LANGS: LANGUAGES.map((lang) => lang.code),
+  PARTICLE_COUNT_FACTOR: 6000,
+  MAX_PARTICLES: 400,
+  MIN_PARTICLES: 40,
+  // Milliseconds of particle work per frame before density is scaled back
+  PARTICLE_FRAME_BUDGET: 6,
   CONNECTION_DISTANCE: 150,
+  // Live project previews give up and show their fallback after this long
+  PREVIEW_TIMEOUT: 8000,
+  PREVIEW_ROOT_MARGIN: '200px',
   SCROLL_THRESHOLD: 50,
   TILT_MAX: 8,
   MAGNETIC_STRENGTH: 0.3
@@ -20,15 +37,27 @@ const CONFIG = {
 
 const state = {
   translations: {},
+  fallbackTranslations: {},
   currentLang: 'en',
+  activeSection: null,
+  // themePreference is what the visitor picked; theme is what it resolves to
+  themePreference: 'system',
   theme: 'light',
+  highContrast: false,
+  reducedMotion: false,
   scrollY: 0,
   lastScrollY: 0,
   navHidden: false,
   particles: [],
   mouseX: 0,
   mouseY: 0,
-  isLoaded: false
+  isLoaded: false,
+  i18nReady: Promise.resolve(),
+  publications: [],
+  publicationFilters: { sort: 'desc', status: 'all', venue: 'all' },
+  citation: { open: null, format: 'bibtex' },
+  collections: { projects: [], roles: [] },
+  collectionFilters: { projects: 'all', roles: 'all' }
 };
 
 // ============================================
@@ -46,7 +75,8 @@ const elements = {
   cursor: null,
   nav: null,
   navToggle: null,
-  themeToggle: null
+  themeSwitch: null,
+  motionToggle: null
 };
 
 // ============================================
@@ -76,72 +106,349 @@ const throttle = (fn, limit) => {
   };
 };
 
-const prefersReducedMotion = () => 
-  window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+// The effective preference: the OS setting unless the motion toggle overrides it
+const prefersReducedMotion = () => state.reducedMotion;
+
+const getScrollBehavior = () => (prefersReducedMotion() ? 'auto' : 'smooth');
 
 const getNestedValue = (source, path) => 
   path.split('.').reduce((acc, key) => acc?.[key], source);
 
-const t = (path, fallback = '') => 
-  getNestedValue(state.translations, path) ?? fallback;
+const isDevelopment = () => 
+  ['localhost', '127.0.0.1', ''].includes(window.location.hostname);
+
+const isEditableTarget = (target) => 
+  Boolean(target?.closest?.('input, textarea, select, [contenteditable="true"]'));
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const createEl = (tag, className, text) => {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+};
 
 // ============================================
-// THEME MANAGEMENT
+// EVENT BUS
 // ============================================
 
-function initTheme() {
-  const stored = localStorage.getItem(CONFIG.THEME_STORAGE_KEY);
-  const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-  
-  state.theme = stored || (prefersDark ? 'dark' : 'light');
-  applyTheme(state.theme);
-  
-  // Listen for system theme changes
-  window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-    if (!localStorage.getItem(CONFIG.THEME_STORAGE_KEY)) {
-      state.theme = e.matches ? 'dark' : 'light';
-      applyTheme(state.theme);
+// Every event features may exchange, and the detail it carries:
+//   theme:change   { theme, preference, highContrast }  after data-theme/data-contrast are applied
+//   lang:change    { lang }     after a language bundle has been applied to the page
+//   motion:change  { reduced }  when the effective reduced-motion preference flips
+//   section:enter  { id }       when another section becomes the current one (null above the first)
+//   collection:render  { collection, tag }  after a manifest collection's cards are rendered or refiltered
+const EVENTS = Object.freeze({
+  THEME_CHANGE: 'theme:change',
+  LANG_CHANGE: 'lang:change',
+  MOTION_CHANGE: 'motion:change',
+  SECTION_ENTER: 'section:enter',
+  COLLECTION_RENDER: 'collection:render'
+});
+
+const EVENT_TYPES = new Set(Object.values(EVENTS));
+const eventHandlers = new Map();
+
+function assertEventType(type) {
+  if (!EVENT_TYPES.has(type)) throw new Error(`Unknown event type: ${type}`);
+}
+
+/** Subscribes to one of EVENTS; returns the unsubscribe function. */
+function subscribe(type, handler) {
+  assertEventType(type);
+  if (!eventHandlers.has(type)) eventHandlers.set(type, new Set());
+  eventHandlers.get(type).add(handler);
+  return () => eventHandlers.get(type).delete(handler);
+}
+
+// A throwing handler is reported and skipped, so one feature can't break the others
+function emit(type, detail = {}) {
+  assertEventType(type);
+  [...(eventHandlers.get(type) || [])].forEach((handler) => {
+    try {
+      handler(detail);
+    } catch (err) {
+      console.error(`[${type}] handler failed`, err);
     }
   });
 }
 
-function applyTheme(theme) {
-  document.documentElement.setAttribute('data-theme', theme);
-  state.theme = theme;
-  
-  // Update snake game colors if running
-  if (typeof updateSnakeColors === 'function') {
-    updateSnakeColors();
+// ============================================
+// COMPONENTS
+// ============================================
+
+const components = new Map();
+
+// Everything a component attaches through its scope is released on unmount:
+// DOM listeners via `signal`, bus subscriptions via `on`, anything else via `cleanup`
+function createScope(name) {
+  const controller = new AbortController();
+  const cleanups = [];
+  return {
+    signal: controller.signal,
+    on: (type, handler) => { cleanups.push(subscribe(type, handler)); },
+    cleanup: (fn) => { cleanups.push(fn); },
+    dispose() {
+      controller.abort();
+      cleanups.splice(0).reverse().forEach((fn) => {
+        try {
+          fn();
+        } catch (err) {
+          console.error(`[${name}] cleanup failed`, err);
+        }
+      });
+    }
+  };
+}
+
+/** Registers a feature; `mount(scope)` wires it up and may be async. */
+function defineComponent(name, mount) {
+  components.set(name, { mount, scope: null });
+}
+
+// A feature that throws while mounting is reported and torn down; the rest carry on
+function mountComponent(name) {
+  const component = components.get(name);
+  if (!component || component.scope) return;
+
+  const scope = createScope(name);
+  component.scope = scope;
+  const fail = (err) => {
+    console.error(`[${name}] failed to mount`, err);
+    if (component.scope === scope) unmountComponent(name);
+  };
+  try {
+    Promise.resolve(component.mount(scope)).catch(fail);
+  } catch (err) {
+    fail(err);
   }
 }
 
-function toggleTheme() {
-  const newTheme = state.theme === 'light' ? 'dark' : 'light';
-  localStorage.setItem(CONFIG.THEME_STORAGE_KEY, newTheme);
-  applyTheme(newTheme);
+function unmountComponent(name) {
+  const component = components.get(name);
+  if (!component?.scope) return;
+  component.scope.dispose();
+  component.scope = null;
+}
+
+// <body data-disable-components="snake particles"> switches features off for one page
+function mountComponents() {
+  const disabled = new Set((document.body.dataset.disableComponents || '').split(/\s+/));
+  components.forEach((component, name) => {
+    if (!disabled.has(name)) mountComponent(name);
+  });
+}
+
+// ============================================
+// THEME MANAGEMENT
+// ============================================
+
+const THEME_PREFERENCES = ['light', 'dark', 'system'];
+const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+const contrastQuery = window.matchMedia('(prefers-contrast: more)');
+
+function getThemePreference() {
+  const stored = localStorage.getItem(CONFIG.THEME_STORAGE_KEY);
+  return THEME_PREFERENCES.includes(stored) ? stored : 'system';
+}
+
+// Same override rule as motion: a stored choice wins, otherwise the OS decides
+function getContrastPreference() {
+  const stored = localStorage.getItem(CONFIG.CONTRAST_STORAGE_KEY);
+  if (stored === 'more' || stored === 'normal') return stored === 'more';
+  return contrastQuery.matches;
+}
+
+const resolveTheme = (preference) => 
+  (preference === 'system' ? (colorSchemeQuery.matches ? 'dark' : 'light') : preference);
+
+function updateThemeColor() {
+  const color = getComputedStyle(document.documentElement).getPropertyValue('--theme-color').trim();
+  if (!color) return;
+  // Both scheme-specific tags get the resolved colour, so an explicit choice beats the OS one
+  $$('meta[name="theme-color"]').forEach((meta) => meta.setAttribute('content', color));
+}
+
+function applyTheme() {
+  const theme = resolveTheme(state.themePreference);
+  const root = document.documentElement;
+  root.setAttribute('data-theme', theme);
+  if (state.highContrast) root.setAttribute('data-contrast', 'more');
+  else root.removeAttribute('data-contrast');
+  state.theme = theme;
+  updateThemeColor();
+  emit(EVENTS.THEME_CHANGE, { theme, preference: state.themePreference, highContrast: state.highContrast });
+}
+
+function initTheme({ signal }) {
+  state.themePreference = getThemePreference();
+  state.highContrast = getContrastPreference();
+  applyTheme();
   
-  // Add a subtle animation
-  document.body.style.transition = 'background-color 0.5s ease';
+  // Listen for system changes; only "system" follows the colour scheme
+  colorSchemeQuery.addEventListener('change', () => {
+    if (state.themePreference === 'system') applyTheme();
+  }, { signal });
+  contrastQuery.addEventListener('change', () => {
+    state.highContrast = getContrastPreference();
+    applyTheme();
+  }, { signal });
+}
+
+function setThemePreference(preference) {
+  if (!THEME_PREFERENCES.includes(preference)) return;
+  // "system" is stored too, so the choice survives even if the OS default changes later
+  localStorage.setItem(CONFIG.THEME_STORAGE_KEY, preference);
+  state.themePreference = preference;
+  applyTheme();
+}
+
+function toggleContrast() {
+  state.highContrast = !state.highContrast;
+  localStorage.setItem(CONFIG.CONTRAST_STORAGE_KEY, state.highContrast ? 'more' : 'normal');
+  applyTheme();
+}
+
+// ============================================
+// MOTION PREFERENCE
+// ============================================
+
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+function getMotionPreference() {
+  const stored = localStorage.getItem(CONFIG.MOTION_STORAGE_KEY);
+  if (stored === 'reduce' || stored === 'full') return stored === 'reduce';
+  return reducedMotionQuery.matches;
+}
+
+function applyMotion(reduced) {
+  const changed = reduced !== state.reducedMotion;
+  state.reducedMotion = reduced;
+  document.documentElement.setAttribute('data-motion', reduced ? 'reduce' : 'full');
+  if (changed) emit(EVENTS.MOTION_CHANGE, { reduced });
+}
+
+function initMotion({ signal }) {
+  applyMotion(getMotionPreference());
+  // Only matters while no override is stored, which getMotionPreference checks
+  reducedMotionQuery.addEventListener('change', () => applyMotion(getMotionPreference()), { signal });
+}
+
+function toggleMotion() {
+  const reduced = !state.reducedMotion;
+  localStorage.setItem(CONFIG.MOTION_STORAGE_KEY, reduced ? 'reduce' : 'full');
+  applyMotion(reduced);
 }
 
 // ============================================
 // INTERNATIONALIZATION
 // ============================================
 
-function buildMailto(address, subject, body) {
-  const params = [];
-  const safeSubject = subject || '';
-  const safeBody = body ? body.replace(/\n/g, '\r\n') : '';
-  if (safeSubject) params.push(`subject=${encodeURIComponent(safeSubject)}`);
-  if (safeBody) params.push(`body=${encodeURIComponent(safeBody)}`);
-  const query = params.join('&');
-  return query ? `mailto:${address}?${query}` : `mailto:${address}`;
+const missingTranslationKeys = new Set();
+const intlCache = new Map();
+
+function getIntl(Ctor, options = {}) {
+  const cacheKey = `${Ctor.name}|${state.currentLang}|${JSON.stringify(options)}`;
+  if (!intlCache.has(cacheKey)) {
+    intlCache.set(cacheKey, new Ctor(state.currentLang, options));
+  }
+  return intlCache.get(cacheKey);
+}
+
+function reportMissingKey(path) {
+  const id = `${state.currentLang}:${path}`;
+  if (!isDevelopment() || missingTranslationKeys.has(id)) return;
+  missingTranslationKeys.add(id);
+  const hint = state.currentLang === CONFIG.DEFAULT_LANG ? '' : `, falling back to ${CONFIG.DEFAULT_LANG}`;
+  console.warn(`[i18n] Missing "${path}" in ${state.currentLang}.json${hint}.`);
+}
+
+function lookupTranslation(path) {
+  const value = getNestedValue(state.translations, path);
+  if (value !== undefined) return value;
+  // Nothing to report while the first bundle is still loading
+  if (Object.keys(state.translations).length) reportMissingKey(path);
+  return getNestedValue(state.fallbackTranslations, path);
+}
+
+// Plural entries are objects keyed by Intl.PluralRules category ("one", "other", ...)
+// with optional exact matches such as "=0"
+function selectPlural(forms, count) {
+  if (typeof count !== 'number') return forms.other;
+  return forms[`=${count}`] ?? forms[getIntl(Intl.PluralRules).select(count)] ?? forms.other;
+}
+
+function formatValue(value, type, style) {
+  if (type === 'number' || (!type && typeof value === 'number')) {
+    if (typeof value !== 'number') return String(value);
+    const options = style === 'percent' ? { style: 'percent' } 
+      : style === 'integer' ? { maximumFractionDigits: 0 } 
+      : {};
+    return getIntl(Intl.NumberFormat, options).format(value);
+  }
+
+  return String(value);
+}
+
+// Placeholders: {name} and {name, number[, percent|integer]}
+function formatMessage(template, params = {}) {
+  return template.replace(/\{(\w+)(?:,\s*(number)(?:,\s*(\w+))?)?\}/g, (match, name, type, style) => {
+    const value = params[name];
+    return value === undefined || value === null ? match : formatValue(value, type, style);
+  });
+}
+
+/**
+ * Translate a key in the active language, falling back to en per key.
+ * The second argument is either interpolation params or, for brevity,
+ * a fallback string used when the key is missing everywhere.
+ */
+function t(path, params = {}, fallback = '') {
+  if (typeof params === 'string') {
+    fallback = params;
+    params = {};
+  }
+
+  let value = lookupTranslation(path);
+  if (value && typeof value === 'object') value = selectPlural(value, params.count);
+  return typeof value === 'string' ? formatMessage(value, params) : fallback;
+}
+
+function parseI18nParams(el, attr = 'i18nParams') {
+  const raw = el.dataset[attr];
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.error(`[i18n] Invalid data-${attr} JSON`, el);
+    return {};
+  }
+}
+
+function buildMailto(address, key, params = {}) {
+  const query = [];
+  const subject = t(`mailto.${key}.subject`, params);
+  const body = t(`mailto.${key}.body`, params).replace(/\n/g, '\r\n');
+  if (subject) query.push(`subject=${encodeURIComponent(subject)}`);
+  if (body) query.push(`body=${encodeURIComponent(body)}`);
+  return query.length ? `mailto:${address}?${query.join('&')}` : `mailto:${address}`;
+}
+
+function updateMailtoLinks() {
+  $$('[data-mailto]').forEach((el) => {
+    const address = el.dataset.mailtoAddress;
+    const key = el.dataset.mailto;
+    if (!address || !key) return;
+    el.setAttribute('href', buildMailto(address, key, parseI18nParams(el, 'mailtoParams')));
+  });
 }
 
 function applyTranslations() {
+  // Elements keep their HTML default text when a key is missing in every bundle
   $$('[data-i18n]').forEach((el) => {
-    const value = t(el.dataset.i18n);
-    if (value !== undefined) {
+    const value = t(el.dataset.i18n, parseI18nParams(el), null);
+    if (value !== null) {
       el.textContent = value;
     }
   });
@@ -150,27 +457,54 @@ function applyTranslations() {
     const attr = el.dataset.i18nAttr;
     const key = el.dataset.i18nAttrKey;
     if (!attr || !key) return;
-    const value = t(key);
-    if (value !== undefined) {
+    const value = t(key, parseI18nParams(el), null);
+    if (value !== null) {
       el.setAttribute(attr, value);
     }
   });
 
-  $$('[data-mailto]').forEach((el) => {
-    const address = el.dataset.mailtoAddress;
-    const key = el.dataset.mailto;
-    if (!address || !key) return;
-    const subject = t(`mailto.${key}.subject`, '');
-    const body = t(`mailto.${key}.body`, '');
-    el.setAttribute('href', buildMailto(address, subject, body));
-  });
+  updateMailtoLinks();
 
   const title = t('meta.title');
   if (title) document.title = title;
   document.documentElement.lang = state.currentLang;
-  
-  // Redraw snake if needed
-  if (typeof snakeRedraw === 'function') snakeRedraw();
+  document.documentElement.dir = getLanguage(state.currentLang).dir;
+}
+
+const getLanguage = (code) => 
+  LANGUAGES.find((lang) => lang.code === code) || LANGUAGES[0];
+
+// Match BCP 47 tags against the registry: exact tag first, then primary subtag (it-CH -> it)
+function negotiateLanguage(requested) {
+  const supported = CONFIG.SUPPORTED_LANGS;
+  for (const tag of requested) {
+    if (!tag) continue;
+    const wanted = tag.toLowerCase();
+    const exact = supported.find((code) => code.toLowerCase() === wanted);
+    if (exact) return exact;
+    const base = wanted.split('-')[0];
+    const partial = supported.find((code) => code.toLowerCase().split('-')[0] === base);
+    if (partial) return partial;
+  }
+  return null;
+}
+
+const getBrowserLanguages = () => 
+  navigator.languages?.length ? navigator.languages : [navigator.language];
+
+function renderLanguageSwitch() {
+  const group = $('.lang-switch');
+  if (!group) return;
+
+  group.replaceChildren(...LANGUAGES.map(({ code, label, name }) => {
+    const btn = createEl('button', '', label);
+    btn.type = 'button';
+    btn.lang = code;
+    btn.dataset.lang = code;
+    btn.setAttribute('aria-label', name);
+    btn.setAttribute('aria-pressed', 'false');
+    return btn;
+  }));
 }
 
 function updateLanguageButtons() {
@@ -181,53 +515,241 @@ function updateLanguageButtons() {
   });
 }
 
-async function loadTranslations(lang) {
-  const response = await fetch(`i18n/${lang}.json`, { cache: 'no-store' });
+const translationCache = new Map();
+
+const bundleStorageKey = (lang) => `${CONFIG.I18N_CACHE_PREFIX}${lang}`;
+
+// The raw text is kept so a refreshed bundle can be compared without re-serialising
+function readStoredBundle(lang) {
+  try {
+    const raw = localStorage.getItem(bundleStorageKey(lang));
+    return raw ? { raw, bundle: JSON.parse(raw) } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeStoredBundle(lang, raw) {
+  try {
+    localStorage.setItem(bundleStorageKey(lang), raw);
+  } catch (err) {
+    // Storage full or disabled: the in-memory cache still covers this visit
+  }
+}
+
+// Drops bundles for languages no longer offered and the old versioned keys
+function purgeStaleBundles() {
+  const current = new Set(CONFIG.SUPPORTED_LANGS.map(bundleStorageKey));
+  try {
+    Object.keys(localStorage)
+      .filter((key) => key.startsWith(CONFIG.I18N_CACHE_PREFIX) && !current.has(key))
+      .forEach((key) => localStorage.removeItem(key));
+  } catch (err) {
+    // Storage unavailable, nothing to purge
+  }
+}
+
+async function requestBundle(lang) {
+  // no-cache revalidates with the server, which can still answer with a cheap 304
+  const response = await fetch(`i18n/${lang}.json`, { cache: 'no-cache' });
   if (!response.ok) throw new Error(`Failed to load translations for ${lang}`);
-  return response.json();
+  const raw = await response.text();
+  const bundle = JSON.parse(raw);
+  writeStoredBundle(lang, raw);
+  return { raw, bundle };
+}
+
+// Swaps a changed bundle in wherever the stale copy is already in use. It waits
+// for the first language to settle, so that copy is applied before the comparison
+function revalidateBundle(lang, stored) {
+  Promise.resolve().then(() => state.i18nReady).then(() => requestBundle(lang)).then(({ raw, bundle }) => {
+    if (raw === stored.raw) return;
+    translationCache.set(lang, Promise.resolve(bundle));
+    if (state.fallbackTranslations === stored.bundle) state.fallbackTranslations = bundle;
+    if (state.translations !== stored.bundle) return;
+    state.translations = bundle;
+    applyTranslations();
+    emit(EVENTS.LANG_CHANGE, { lang });
+  }).catch(() => {});
+}
+
+// Stale-while-revalidate: a stored bundle renders at once and is refreshed behind it
+async function fetchTranslations(lang) {
+  const stored = readStoredBundle(lang);
+  if (stored) {
+    revalidateBundle(lang, stored);
+    return stored.bundle;
+  }
+  return (await requestBundle(lang)).bundle;
+}
+
+function loadTranslations(lang) {
+  if (!translationCache.has(lang)) {
+    const pending = fetchTranslations(lang);
+    // Let a failed request be retried on the next switch
+    pending.catch(() => translationCache.delete(lang));
+    translationCache.set(lang, pending);
+  }
+  return translationCache.get(lang);
+}
+
+function prefetchTranslations() {
+  const schedule = window.requestIdleCallback || ((fn) => setTimeout(fn, 200));
+  schedule(() => {
+    CONFIG.SUPPORTED_LANGS
+      .filter((lang) => lang !== state.currentLang)
+      .forEach((lang) => loadTranslations(lang).catch(() => {}));
+  });
 }
 
-async function setLanguage(lang) {
-  const normalized = CONFIG.SUPPORTED_LANGS.includes(lang) ? lang : 'en';
+async function setLanguage(lang, { history = 'push' } = {}) {
+  const normalized = CONFIG.SUPPORTED_LANGS.includes(lang) ? lang : CONFIG.DEFAULT_LANG;
   try {
-    state.translations = await loadTranslations(normalized);
+    const bundle = await loadTranslations(normalized);
+    if (normalized === CONFIG.DEFAULT_LANG) {
+      state.fallbackTranslations = bundle;
+    } else if (!state.fallbackTranslations.meta) {
+      state.fallbackTranslations = await loadTranslations(CONFIG.DEFAULT_LANG).catch(() => ({}));
+    }
+    state.translations = bundle;
     state.currentLang = normalized;
     localStorage.setItem(CONFIG.LANGUAGE_STORAGE_KEY, state.currentLang);
     applyTranslations();
     updateLanguageButtons();
+    updateUrl(history);
+    emit(EVENTS.LANG_CHANGE, { lang: normalized });
   } catch (err) {
-    if (normalized !== 'en') {
-      setLanguage('en');
+    if (normalized !== CONFIG.DEFAULT_LANG) {
+      await setLanguage(CONFIG.DEFAULT_LANG, { history });
       return;
     }
     console.error(err);
   }
 }
 
-function initI18n() {
-  $$('[data-lang]').forEach((btn) => {
-    btn.addEventListener('click', () => {
-      const lang = btn.dataset.lang;
-      if (lang && lang !== state.currentLang) {
-        setLanguage(lang);
-      }
-    });
+function getInitialLanguage() {
+  const stored = localStorage.getItem(CONFIG.LANGUAGE_STORAGE_KEY);
+  return getUrlLanguage()
+    || (CONFIG.SUPPORTED_LANGS.includes(stored) ? stored : null)
+    || negotiateLanguage(getBrowserLanguages())
+    || CONFIG.DEFAULT_LANG;
+}
+
+function initI18n({ signal }) {
+  renderLanguageSwitch();
+  $('.lang-switch')?.addEventListener('click', (e) => {
+    const lang = e.target.closest('[data-lang]')?.dataset.lang;
+    if (lang && lang !== state.currentLang) {
+      setLanguage(lang);
+    }
+  }, { signal });
+
+  const initial = getInitialLanguage();
+  // Stamp the landing entry so back/forward can return to its language
+  window.history.replaceState({ ...window.history.state, lang: initial }, '');
+
+  purgeStaleBundles();
+  state.i18nReady = setLanguage(initial, { history: false }).finally(() => {
+    document.documentElement.removeAttribute('data-i18n-pending');
   });
 
-  const stored = localStorage.getItem(CONFIG.LANGUAGE_STORAGE_KEY);
-  const initial = CONFIG.SUPPORTED_LANGS.includes(stored) ? stored : 'en';
-  setLanguage(initial);
+  // Warm the other bundles once the first paint is out of the way
+  window.addEventListener('load', prefetchTranslations, { once: true, signal });
+}
+
+// ============================================
+// URL ROUTING
+// ============================================
+
+function getUrlLanguage() {
+  const lang = new URLSearchParams(window.location.search).get('lang');
+  return lang ? negotiateLanguage([lang]) : null;
+}
+
+function getUrlSection() {
+  let id = '';
+  try {
+    id = decodeURIComponent(window.location.hash.slice(1));
+  } catch (err) {
+    // Malformed escapes (#%E0%A4%A) point at no section
+    return null;
+  }
+  return id ? document.getElementById(id) : null;
+}
+
+function buildUrl(lang, section) {
+  const url = new URL(window.location.href);
+  url.searchParams.set('lang', lang);
+  url.hash = section ? `#${section}` : '';
+  return url;
+}
+
+// mode: 'push' for explicit navigation, 'replace' for scroll syncing, false to leave the URL alone
+function updateUrl(mode, section = state.activeSection) {
+  if (!mode) return;
+  const url = buildUrl(state.currentLang, section);
+  if (url.href === window.location.href) return;
+  const entry = { lang: state.currentLang, section };
+  if (mode === 'push') window.history.pushState(entry, '', url);
+  else window.history.replaceState(entry, '', url);
+}
+
+function initRouting({ signal }) {
+  window.addEventListener('popstate', (e) => {
+    const lang = e.state?.lang || getUrlLanguage();
+    if (lang && lang !== state.currentLang) {
+      setLanguage(lang, { history: false });
+    }
+
+    const target = getUrlSection();
+    if (target) scrollToElement(target);
+    else if (!window.location.hash) window.scrollTo({ top: 0, behavior: getScrollBehavior() });
+  }, { signal });
 }
 
 // ============================================
 // PARTICLE BACKGROUND
 // ============================================
 
-const COLORS = [
-  'rgba(31,58,87,0.4)',
-  'rgba(185,106,58,0.4)',
-  'rgba(15,27,45,0.25)'
-];
+// Presets tune the field's shape; colours always come from the theme's CSS
+// custom properties. Pick one with <canvas id="bg-canvas" data-particles="calm">
+const PARTICLE_PRESETS = {
+  calm: { countFactor: 14000, maxParticles: 140, connectionDistance: 120, speed: 0.5, linkOpacity: 0.6 },
+  dense: { countFactor: 3500, maxParticles: 400, connectionDistance: 110, speed: 1, linkOpacity: 0.8 },
+  constellation: { countFactor: 10000, maxParticles: 200, connectionDistance: 200, speed: 0.25, linkOpacity: 1.6 }
+};
+
+const PARTICLE_TONES = 3;
+
+function getParticlePreset() {
+  const preset = PARTICLE_PRESETS[elements.canvas?.dataset.particles] || {};
+  return {
+    countFactor: CONFIG.PARTICLE_COUNT_FACTOR,
+    maxParticles: CONFIG.MAX_PARTICLES,
+    connectionDistance: CONFIG.CONNECTION_DISTANCE,
+    speed: 1,
+    linkOpacity: 1,
+    ...preset
+  };
+}
+
+// Read from the canvas so a theme or a preset can override any of them in CSS
+function readParticlePalette() {
+  const styles = getComputedStyle(elements.canvas);
+  const read = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+  return {
+    tones: Array.from({ length: PARTICLE_TONES }, (_, i) => read(`--particle-${i + 1}`, 'rgba(31,58,87,0.4)')),
+    link: read('--particle-link', 'rgb(31,58,87)'),
+    linkOpacity: parseFloat(read('--particle-link-opacity', '0.15')) || 0
+  };
+}
+
+// Particles keep their tone index, so a new palette recolours them in place
+function updateParticlePalette() {
+  if (!elements.canvas) return;
+  particleLoop.palette = readParticlePalette();
+  if (!particleLoop.frame && elements.ctx && !prefersReducedMotion()) drawParticles(elements.ctx);
+}
 
 let canvasWidth = window.innerWidth;
 let canvasHeight = window.innerHeight;
@@ -241,56 +763,123 @@ function resizeCanvas() {
   }
 }
 
+// Density scales the particle count down when frames run over budget; it is
+// kept across resizes so a slow device is not measured again from scratch
+const particleLoop = {
+  frame: null,
+  visible: true,
+  density: 1,
+  cost: 0,
+  samples: 0,
+  preset: null,
+  palette: null
+};
+
+// Connection strokes are batched into a few opacity steps instead of one per line
+const CONNECTION_SHADES = 4;
+
 function createParticles() {
+  const preset = getParticlePreset();
+  particleLoop.preset = preset;
   const count = Math.min(
-    CONFIG.MAX_PARTICLES, 
-    Math.floor((canvasWidth * canvasHeight) / CONFIG.PARTICLE_COUNT_FACTOR)
+    preset.maxParticles, 
+    Math.floor((canvasWidth * canvasHeight) / preset.countFactor)
   );
+  const scaled = Math.max(Math.min(count, CONFIG.MIN_PARTICLES), Math.floor(count * particleLoop.density));
   
-  state.particles = Array.from({ length: count }, () => ({
+  state.particles = Array.from({ length: scaled }, () => ({
     x: Math.random() * canvasWidth,
     y: Math.random() * canvasHeight,
-    vx: (Math.random() - 0.5) * 0.3,
-    vy: (Math.random() - 0.5) * 0.3,
+    vx: (Math.random() - 0.5) * 0.3 * preset.speed,
+    vy: (Math.random() - 0.5) * 0.3 * preset.speed,
     r: Math.random() * 2 + 0.8,
-    color: COLORS[Math.floor(Math.random() * COLORS.length)]
+    tone: Math.floor(Math.random() * PARTICLE_TONES)
   }));
 }
 
-function animateParticles() {
-  if (!elements.ctx || prefersReducedMotion()) return;
-  
-  const ctx = elements.ctx;
-  ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+// Uniform grid with cells as wide as the connection distance, so every pair
+// close enough to connect sits in the same or an adjacent cell
+function buildParticleGrid(particles, cellSize) {
+  const cols = Math.ceil((canvasWidth + 20) / cellSize) + 1;
+  const rows = Math.ceil((canvasHeight + 20) / cellSize) + 1;
+  const cells = Array.from({ length: cols * rows }, () => []);
+  particles.forEach((p) => {
+    const col = clamp(Math.floor((p.x + 10) / cellSize), 0, cols - 1);
+    const row = clamp(Math.floor((p.y + 10) / cellSize), 0, rows - 1);
+    cells[row * cols + col].push(p);
+  });
+  return { cols, rows, cells };
+}
 
-  // Draw connections with distance-based opacity
-  const particles = state.particles;
-  const connectionDist = CONFIG.CONNECTION_DISTANCE;
+// Only half of the neighbourhood is visited so each pair is checked once
+const NEIGHBOUR_OFFSETS = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+function drawConnections(ctx, particles) {
+  const connectionDist = particleLoop.preset.connectionDistance;
   const connectionDistSq = connectionDist * connectionDist;
-  
-  for (let i = 0; i < particles.length; i++) {
-    const p1 = particles[i];
-    
-    for (let j = i + 1; j < particles.length; j++) {
-      const p2 = particles[j];
-      const dx = p1.x - p2.x;
-      const dy = p1.y - p2.y;
-      const distSq = dx * dx + dy * dy;
-      
-      if (distSq < connectionDistSq) {
-        const alpha = (1 - distSq / connectionDistSq) * 0.15;
-        ctx.strokeStyle = `rgba(31,58,87,${alpha})`;
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        ctx.moveTo(p1.x, p1.y);
-        ctx.lineTo(p2.x, p2.y);
-        ctx.stroke();
+  const { cols, rows, cells } = buildParticleGrid(particles, connectionDist);
+  const shades = Array.from({ length: CONNECTION_SHADES }, () => []);
+
+  const connect = (p1, p2) => {
+    const dx = p1.x - p2.x;
+    const dy = p1.y - p2.y;
+    const distSq = dx * dx + dy * dy;
+    if (distSq >= connectionDistSq) return;
+    const shade = Math.min(CONNECTION_SHADES - 1, Math.floor((1 - distSq / connectionDistSq) * CONNECTION_SHADES));
+    shades[shade].push(p1, p2);
+  };
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const cell = cells[row * cols + col];
+      for (let i = 0; i < cell.length; i++) {
+        for (let j = i + 1; j < cell.length; j++) connect(cell[i], cell[j]);
+        NEIGHBOUR_OFFSETS.forEach(([dc, dr]) => {
+          const c = col + dc;
+          const r = row + dr;
+          if (c < 0 || c >= cols || r >= rows) return;
+          cells[r * cols + c].forEach((other) => connect(cell[i], other));
+        });
       }
     }
   }
 
-  // Draw and update particles
-  particles.forEach((p) => {
+  // Opacity rises with closeness, as when each line was stroked on its own
+  const { link, linkOpacity } = particleLoop.palette;
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = link;
+  shades.forEach((points, shade) => {
+    if (!points.length) return;
+    ctx.globalAlpha = Math.min(1, ((shade + 0.5) / CONNECTION_SHADES) * linkOpacity * particleLoop.preset.linkOpacity);
+    ctx.beginPath();
+    for (let i = 0; i < points.length; i += 2) {
+      ctx.moveTo(points[i].x, points[i].y);
+      ctx.lineTo(points[i + 1].x, points[i + 1].y);
+    }
+    ctx.stroke();
+  });
+  ctx.globalAlpha = 1;
+}
+
+function drawParticles(ctx) {
+  ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+  drawConnections(ctx, state.particles);
+
+  const { tones } = particleLoop.palette;
+  state.particles.forEach((p) => {
+    ctx.beginPath();
+    ctx.fillStyle = tones[p.tone];
+    ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2);
+    ctx.fill();
+  });
+}
+
+function animateParticles() {
+  if (!elements.ctx) return;
+  const started = performance.now();
+  const maxSpeed = 0.5 * particleLoop.preset.speed;
+
+  state.particles.forEach((p) => {
     // Mouse interaction - subtle attraction
     const dx = state.mouseX - p.x;
     const dy = state.mouseY - p.y;
@@ -307,8 +896,8 @@ function animateParticles() {
     p.vy *= 0.99;
     
     // Clamp velocity
-    p.vx = clamp(p.vx, -0.5, 0.5);
-    p.vy = clamp(p.vy, -0.5, 0.5);
+    p.vx = clamp(p.vx, -maxSpeed, maxSpeed);
+    p.vy = clamp(p.vy, -maxSpeed, maxSpeed);
     
     p.x += p.vx;
     p.y += p.vy;
@@ -318,51 +907,117 @@ function animateParticles() {
     if (p.x > canvasWidth + 10) p.x = -10;
     if (p.y < -10) p.y = canvasHeight + 10;
     if (p.y > canvasHeight + 10) p.y = -10;
-
-    // Draw particle
-    ctx.beginPath();
-    ctx.fillStyle = p.color;
-    ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2);
-    ctx.fill();
   });
+  drawParticles(elements.ctx);
+
+  trackParticleBudget(performance.now() - started);
+  particleLoop.frame = requestAnimationFrame(animateParticles);
+}
+
+// A running average of the work per frame; once it stays over budget the
+// field is thinned out, never below MIN_PARTICLES
+function trackParticleBudget(elapsed) {
+  particleLoop.cost = particleLoop.cost * 0.9 + elapsed * 0.1;
+  particleLoop.samples++;
+  if (particleLoop.samples < 60 || particleLoop.cost <= CONFIG.PARTICLE_FRAME_BUDGET) return;
+  if (state.particles.length <= CONFIG.MIN_PARTICLES) return;
 
-  requestAnimationFrame(animateParticles);
+  particleLoop.density *= 0.75;
+  const keep = Math.max(CONFIG.MIN_PARTICLES, Math.floor(state.particles.length * 0.75));
+  state.particles.length = keep;
+  particleLoop.samples = 0;
 }
 
-function initParticles() {
+const shouldAnimateParticles = () =>
+  Boolean(elements.ctx) && particleLoop.visible && !document.hidden && !prefersReducedMotion();
+
+function startParticles() {
+  if (particleLoop.frame || !shouldAnimateParticles()) return;
+  // A fresh average, so time spent in the background is not counted as a slow frame
+  particleLoop.cost = 0;
+  particleLoop.samples = 0;
+  particleLoop.frame = requestAnimationFrame(animateParticles);
+}
+
+function stopParticles() {
+  cancelAnimationFrame(particleLoop.frame);
+  particleLoop.frame = null;
+}
+
+function updateParticleLoop() {
+  if (shouldAnimateParticles()) startParticles();
+  else stopParticles();
+}
+
+function initParticles({ signal, on, cleanup }) {
   elements.canvas = $('#bg-canvas');
   if (!elements.canvas) return;
   
   elements.ctx = elements.canvas.getContext('2d');
+  particleLoop.palette = readParticlePalette();
   resizeCanvas();
   createParticles();
-  
-  if (!prefersReducedMotion()) {
-    requestAnimationFrame(animateParticles);
+
+  document.addEventListener('visibilitychange', updateParticleLoop, { signal });
+  window.addEventListener('resize', debounce(() => {
+    resizeCanvas();
+    createParticles();
+  }, 200), { signal });
+  on(EVENTS.THEME_CHANGE, updateParticlePalette);
+  on(EVENTS.MOTION_CHANGE, ({ reduced }) => {
+    updateParticleLoop();
+    if (reduced) elements.ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+  });
+
+  // Switching presets changes the count and spacing, so the field is re-seeded
+  const presetObserver = new MutationObserver(() => {
+    createParticles();
+    updateParticlePalette();
+  });
+  presetObserver.observe(elements.canvas, { attributes: true, attributeFilter: ['data-particles'] });
+  cleanup(() => presetObserver.disconnect());
+
+  // Catches the canvas being hidden by CSS (print, display: none) as well
+  if ('IntersectionObserver' in window) {
+    const canvasObserver = new IntersectionObserver(([entry]) => {
+      particleLoop.visible = entry.isIntersecting;
+      updateParticleLoop();
+    });
+    canvasObserver.observe(elements.canvas);
+    cleanup(() => canvasObserver.disconnect());
   }
+  
+  startParticles();
+  cleanup(() => {
+    stopParticles();
+    elements.ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+    elements.ctx = null;
+  });
 }
 
 // ============================================
 // CUSTOM CURSOR
 // ============================================
 
-function initCursor() {
-  if (prefersReducedMotion() || !window.matchMedia('(hover: hover)').matches) return;
-  
-  elements.cursor = $('.cursor');
-  if (!elements.cursor) return;
-  
-  let cursorX = 0;
-  let cursorY = 0;
+function initCursor({ signal, on, cleanup }) {
+  // Particles follow the pointer too, so it is tracked even without the custom cursor
   let targetX = 0;
   let targetY = 0;
-  
   document.addEventListener('mousemove', (e) => {
     targetX = e.clientX;
     targetY = e.clientY;
     state.mouseX = e.clientX;
     state.mouseY = e.clientY;
-  });
+  }, { signal });
+
+  if (!window.matchMedia('(hover: hover)').matches) return;
+  
+  elements.cursor = $('.cursor');
+  if (!elements.cursor) return;
+  
+  let cursorX = 0;
+  let cursorY = 0;
+  let frame = null;
   
   // Smooth cursor animation
   function animateCursor() {
@@ -372,9 +1027,23 @@ function initCursor() {
     elements.cursor.style.left = `${cursorX}px`;
     elements.cursor.style.top = `${cursorY}px`;
     
-    requestAnimationFrame(animateCursor);
+    frame = requestAnimationFrame(animateCursor);
   }
-  animateCursor();
+
+  // The CSS hides the cursor under reduced motion; the loop stops with it
+  function updateCursorLoop(reduced) {
+    if (reduced) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    } else if (!frame) {
+      cursorX = targetX;
+      cursorY = targetY;
+      animateCursor();
+    }
+  }
+  on(EVENTS.MOTION_CHANGE, ({ reduced }) => updateCursorLoop(reduced));
+  updateCursorLoop(prefersReducedMotion());
+  cleanup(() => updateCursorLoop(true));
   
   // Hover states
   const interactiveElements = 'a, button, .button, .project-card, .card, .chip, input, textarea';
@@ -383,29 +1052,29 @@ function initCursor() {
     if (e.target.closest(interactiveElements)) {
       elements.cursor.classList.add('hover');
     }
-  });
+  }, { signal });
   
   document.addEventListener('mouseout', (e) => {
     if (e.target.closest(interactiveElements)) {
       elements.cursor.classList.remove('hover');
     }
-  });
+  }, { signal });
   
   // Click animation
   document.addEventListener('mousedown', () => {
     elements.cursor.classList.add('clicking');
-  });
+  }, { signal });
   
   document.addEventListener('mouseup', () => {
     elements.cursor.classList.remove('clicking');
-  });
+  }, { signal });
 }
 
 // ============================================
 // SCROLL EFFECTS
 // ============================================
 
-function initScrollProgress() {
+function initScrollProgress({ signal }) {
   elements.scrollProgress = $('.scroll-progress');
   if (!elements.scrollProgress) return;
   
@@ -415,11 +1084,11 @@ function initScrollProgress() {
     elements.scrollProgress.style.width = `${progress}%`;
   }
   
-  window.addEventListener('scroll', throttle(updateProgress, 16), { passive: true });
+  window.addEventListener('scroll', throttle(updateProgress, 16), { passive: true, signal });
   updateProgress();
 }
 
-function initNavScroll() {
+function initNavScroll({ signal }) {
   elements.nav = $('.nav');
   if (!elements.nav) return;
   
@@ -441,478 +1110,2222 @@ function initNavScroll() {
     lastScrollY = currentScrollY;
   }
   
-  window.addEventListener('scroll', throttle(handleScroll, 100), { passive: true });
+  window.addEventListener('scroll', throttle(handleScroll, 100), { passive: true, signal });
 }
 
-function initActiveNavLink() {
+function initActiveNavLink({ signal }) {
   const sections = $$('section[id]');
   const navLinks = $$('.nav nav a[href^="#"]');
   
-  function updateActiveLink() {
+  function updateActiveLink(syncUrl = true) {
     const scrollY = window.scrollY + 150;
+    const current = [...sections].find((section) => 
+      scrollY >= section.offsetTop && scrollY < section.offsetTop + section.offsetHeight
+    );
+    const sectionId = current ? current.getAttribute('id') : null;
+    if (sectionId === state.activeSection) return;
     
-    sections.forEach((section) => {
-      const sectionTop = section.offsetTop;
-      const sectionHeight = section.offsetHeight;
-      const sectionId = section.getAttribute('id');
-      
-      if (scrollY >= sectionTop && scrollY < sectionTop + sectionHeight) {
-        navLinks.forEach((link) => {
-          link.classList.remove('active');
-          if (link.getAttribute('href') === `#${sectionId}`) {
-            link.classList.add('active');
-          }
-        });
-      }
+    state.activeSection = sectionId;
+    navLinks.forEach((link) => {
+      link.classList.toggle('active', link.getAttribute('href') === `#${sectionId}`);
     });
+    
+    // Replace rather than push so scrolling never floods the history stack
+    if (syncUrl) updateUrl('replace');
+    emit(EVENTS.SECTION_ENTER, { id: sectionId });
   }
   
-  window.addEventListener('scroll', throttle(updateActiveLink, 100), { passive: true });
-  updateActiveLink();
+  window.addEventListener('scroll', throttle(() => updateActiveLink(), 100), { passive: true, signal });
+  // Don't touch the URL on load: the browser may still be jumping to a shared #section
+  updateActiveLink(false);
 }
 
 // ============================================
 // INTERSECTION OBSERVER ANIMATIONS
 // ============================================
 
-function initAnimations() {
-  if (prefersReducedMotion()) {
-    $$('[data-animate]').forEach((el) => el.classList.add('visible'));
-    return;
+function initAnimations({ on, cleanup }) {
+  let observer = null;
+
+  // Reduced motion reveals everything at once; turning it back off only
+  // animates what has not been revealed yet
+  function armAnimations(reduced) {
+    observer?.disconnect();
+    observer = null;
+    const pending = [...$$('[data-animate]:not(.visible)')];
+    if (reduced) {
+      pending.forEach((el) => el.classList.add('visible'));
+      return;
+    }
+
+    observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) {
+            entry.target.classList.add('visible');
+            observer.unobserve(entry.target);
+          }
+        });
+      },
+      { threshold: 0.15, rootMargin: '0px 0px -50px 0px' }
+    );
+    pending.forEach((el) => observer.observe(el));
   }
-  
-  const observer = new IntersectionObserver(
-    (entries) => {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          entry.target.classList.add('visible');
-          observer.unobserve(entry.target);
-        }
-      });
-    },
-    { threshold: 0.15, rootMargin: '0px 0px -50px 0px' }
-  );
 
-  $$('[data-animate]').forEach((el) => observer.observe(el));
+  on(EVENTS.MOTION_CHANGE, ({ reduced }) => armAnimations(reduced));
+  armAnimations(prefersReducedMotion());
+  cleanup(() => observer?.disconnect());
 }
 
 // ============================================
 // 3D TILT EFFECT
 // ============================================
 
-function initTiltEffect() {
-  if (prefersReducedMotion()) return;
-  
-  const tiltElements = $$('.hero__card, .project-card:not(.static)');
+// Shared by the pointer effects: drop any transform left over when motion is
+// reduced or the effect is unmounted
+function resetTransforms({ on, cleanup }, selector) {
+  const reset = () => $$(selector).forEach((el) => { el.style.transform = ''; });
+  on(EVENTS.MOTION_CHANGE, ({ reduced }) => { if (reduced) reset(); });
+  cleanup(reset);
+}
+
+const TILT_TARGETS = '.hero__card, .project-card:not(.static)';
+
+// Delegated, so project cards rendered from the manifest tilt as well
+function initTiltEffect(scope) {
+  const { signal } = scope;
+  resetTransforms(scope, TILT_TARGETS);
   
-  tiltElements.forEach((el) => {
-    el.addEventListener('mousemove', (e) => {
-      const rect = el.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
-      const centerX = rect.width / 2;
-      const centerY = rect.height / 2;
-      
-      const rotateX = ((y - centerY) / centerY) * -CONFIG.TILT_MAX;
-      const rotateY = ((x - centerX) / centerX) * CONFIG.TILT_MAX;
-      
-      el.style.transform = `perspective(1000px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) translateZ(10px)`;
-    });
+  document.addEventListener('mousemove', (e) => {
+    const el = e.target.closest?.(TILT_TARGETS);
+    if (!el || prefersReducedMotion()) return;
+    const rect = el.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    const centerX = rect.width / 2;
+    const centerY = rect.height / 2;
     
-    el.addEventListener('mouseleave', () => {
-      el.style.transform = '';
-    });
-  });
+    const rotateX = ((y - centerY) / centerY) * -CONFIG.TILT_MAX;
+    const rotateY = ((x - centerX) / centerX) * CONFIG.TILT_MAX;
+    
+    el.style.transform = `perspective(1000px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) translateZ(10px)`;
+  }, { signal });
+  
+  document.addEventListener('mouseout', (e) => {
+    const el = e.target.closest?.(TILT_TARGETS);
+    if (el && !el.contains(e.relatedTarget)) el.style.transform = '';
+  }, { signal });
 }
 
 // ============================================
 // BUTTON RIPPLE EFFECT
 // ============================================
 
-function initRippleEffect() {
-  $$('.button').forEach((button) => {
-    button.addEventListener('click', function(e) {
-      const rect = this.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const y = e.clientY - rect.top;
-      
-      const ripple = document.createElement('span');
-      ripple.className = 'ripple';
-      ripple.style.left = `${x}px`;
-      ripple.style.top = `${y}px`;
-      
-      this.appendChild(ripple);
-      
-      setTimeout(() => ripple.remove(), 600);
-    });
-  });
+function initRippleEffect({ signal }) {
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest?.('.button');
+    if (!button) return;
+    const rect = button.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    
+    const ripple = document.createElement('span');
+    ripple.className = 'ripple';
+    ripple.style.left = `${x}px`;
+    ripple.style.top = `${y}px`;
+    
+    button.appendChild(ripple);
+    
+    setTimeout(() => ripple.remove(), 600);
+  }, { signal });
 }
 
 // ============================================
 // MAGNETIC BUTTONS
 // ============================================
 
-function initMagneticButtons() {
-  if (prefersReducedMotion()) return;
-  
-  const magneticElements = $$('.nav__logo, .theme-toggle, .project-btn');
+function initMagneticButtons(scope) {
+  const { signal } = scope;
+  const selector = '.nav__logo, .motion-toggle, .project-btn';
+  const magneticElements = $$(selector);
+  resetTransforms(scope, selector);
   
   magneticElements.forEach((el) => {
     el.addEventListener('mousemove', (e) => {
+      if (prefersReducedMotion()) return;
       const rect = el.getBoundingClientRect();
       const x = e.clientX - rect.left - rect.width / 2;
       const y = e.clientY - rect.top - rect.height / 2;
       
       el.style.transform = `translate(${x * CONFIG.MAGNETIC_STRENGTH}px, ${y * CONFIG.MAGNETIC_STRENGTH}px)`;
-    });
+    }, { signal });
     
     el.addEventListener('mouseleave', () => {
       el.style.transform = '';
-    });
+    }, { signal });
   });
 }
 
 // ============================================
-// CAROUSEL
+// PUBLICATIONS
 // ============================================
 
-function initCarousel(selector, trackSelector, cardSelector) {
-  $$(selector).forEach((carousel) => {
-    const track = carousel.querySelector(trackSelector);
-    const cards = carousel.querySelectorAll(cardSelector);
-    const prev = carousel.querySelector('.prev');
-    const next = carousel.querySelector('.next');
-    if (!track || !cards.length) return;
+async function loadPublications() {
+  const response = await fetch('data/publications.json');
+  if (!response.ok) throw new Error('Failed to load publications');
+  const data = await response.json();
+  return data.publications || [];
+}
 
-    let index = 0;
+function getVisiblePublications() {
+  const { sort, status, venue } = state.publicationFilters;
+  return state.publications
+    .filter((pub) => status === 'all' || pub.status === status)
+    .filter((pub) => venue === 'all' || pub.venue === venue)
+    .sort((a, b) => (sort === 'asc' ? a.year - b.year : b.year - a.year));
+}
 
-    const scrollToIndex = (i) => {
-      const count = cards.length;
-      index = (i + count) % count;
-      const target = cards[index];
-      const left = target.offsetLeft - 8;
-      track.scrollTo({ left, behavior: 'smooth' });
-    };
+function formatPublicationMeta(pub) {
+  const note = pub.notes?.[state.currentLang] ?? pub.notes?.en;
+  const status = pub.status !== 'published' ? t(`publications.status.${pub.status}`) : '';
+  const details = [pub.venue, status, note].filter(Boolean).join(' — ');
+  const collaboration = pub.collaboration
+    ? ` • ${t('publications.collaboration', { name: pub.collaboration })}`
+    : '';
+  return `${pub.year} - ${details}${collaboration}.`;
+}
 
-    prev?.addEventListener('click', () => scrollToIndex(index - 1));
-    next?.addEventListener('click', () => scrollToIndex(index + 1));
-    
-    // Handle resize
-    window.addEventListener('resize', debounce(() => scrollToIndex(index), 100));
-    
-    // Touch swipe support
-    let touchStartX = 0;
-    let touchEndX = 0;
-    
-    track.addEventListener('touchstart', (e) => {
-      touchStartX = e.changedTouches[0].screenX;
-    }, { passive: true });
-    
-    track.addEventListener('touchend', (e) => {
-      touchEndX = e.changedTouches[0].screenX;
-      const diff = touchStartX - touchEndX;
-      if (Math.abs(diff) > 50) {
-        if (diff > 0) scrollToIndex(index + 1);
-        else scrollToIndex(index - 1);
-      }
-    }, { passive: true });
-    
-    scrollToIndex(0);
+function createTimelineItem(title, meta) {
+  const item = createEl('article', 'timeline__item');
+  item.setAttribute('role', 'listitem');
+  const dot = createEl('div', 'dot');
+  dot.setAttribute('aria-hidden', 'true');
+  const body = createEl('div');
+  const metaEl = createEl('p', 'muted');
+  metaEl.append(createEl('span', '', meta));
+  body.append(createEl('h3', '', title), metaEl);
+  item.append(dot, body);
+  return item;
+}
+
+function createPublicationItem(pub) {
+  const item = createTimelineItem(pub.title, formatPublicationMeta(pub));
+  item.dataset.publication = pub.id;
+
+  if (pub.doi) {
+    const link = createEl('a', 'link', `DOI: ${pub.doi}`);
+    link.href = `https://doi.org/${pub.doi}`;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    item.querySelector('.muted').append(' ', link);
+  }
+
+  const citeBtn = createEl('button', 'button ghost small-btn cite-btn', t('publications.cite.button', 'Cite'));
+  citeBtn.type = 'button';
+  citeBtn.setAttribute('aria-controls', `cite-${pub.id}`);
+  citeBtn.setAttribute('aria-expanded', 'false');
+  const actions = createEl('div', 'publication-actions');
+  actions.append(citeBtn);
+  item.lastElementChild.append(actions);
+
+  if (state.citation.open === pub.id) openCitationPanel(item, pub);
+  return item;
+}
+
+function renderPublications() {
+  const list = $('#publications-list');
+  if (!list || !state.publications.length || !state.translations.publications) return;
+
+  const visible = getVisiblePublications();
+  const items = visible.map(createPublicationItem);
+
+  if (!visible.length) {
+    items.push(createEl('p', 'muted publication-empty', t('publications.empty')));
+  }
+  items.push(createTimelineItem(t('publications.more.title'), t('publications.more.meta')));
+
+  list.replaceChildren(...items);
+}
+
+function populateVenueFilter(select) {
+  const venues = [...new Set(state.publications.map((pub) => pub.venue).filter(Boolean))];
+  venues.sort().forEach((venue) => {
+    const option = createEl('option', '', venue);
+    option.value = venue;
+    select.append(option);
   });
 }
 
-// ============================================
-// MOBILE NAVIGATION
-// ============================================
+// The static list in the page stays until the data loads; a failed load says so,
+// offers a retry and switches off the filters, which only work on loaded data
+async function initPublications({ signal, on, cleanup }) {
+  const list = $('#publications-list');
+  if (!list) return;
 
-function initMobileNav() {
-  elements.navToggle = $('.nav__toggle');
-  elements.nav = $('.nav');
-  
-  if (!elements.navToggle || !elements.nav) return;
-  
-  elements.navToggle.addEventListener('click', () => {
-    elements.navToggle.classList.toggle('active');
-    elements.nav.classList.toggle('nav-open');
+  const controls = {
+    sort: $('#publications-sort'),
+    status: $('#publications-status'),
+    venue: $('#publications-venue')
+  };
+  const download = $('#publications-download');
+
+  Object.entries(controls).forEach(([key, select]) => {
+    select?.addEventListener('change', () => {
+      state.publicationFilters[key] = select.value;
+      renderPublications();
+    }, { signal });
   });
-  
-  // Close nav when clicking a link
-  $$('.nav nav a').forEach((link) => {
-    link.addEventListener('click', () => {
-      elements.navToggle.classList.remove('active');
-      elements.nav.classList.remove('nav-open');
+  on(EVENTS.LANG_CHANGE, renderPublications);
+
+  const notice = createEl('div', 'publication-error');
+  notice.setAttribute('role', 'alert');
+  notice.hidden = true;
+  const retry = createTranslatedEl('publications.retry', 'button', 'button ghost small-btn');
+  retry.type = 'button';
+  notice.append(createTranslatedEl('publications.loadError', 'p', 'muted'), retry);
+  list.before(notice);
+  cleanup(() => notice.remove());
+
+  const setControlsEnabled = (enabled) => {
+    [...Object.values(controls), download].forEach((el) => {
+      if (el) el.disabled = !enabled;
     });
-  });
-  
-  // Close nav when clicking outside
-  document.addEventListener('click', (e) => {
-    if (!e.target.closest('.nav') && elements.nav.classList.contains('nav-open')) {
-      elements.navToggle.classList.remove('active');
-      elements.nav.classList.remove('nav-open');
+  };
+
+  async function load() {
+    retry.disabled = true;
+    try {
+      state.publications = await loadPublications();
+    } catch (err) {
+      console.error(err);
+      notice.hidden = false;
+      setControlsEnabled(false);
+      return;
+    } finally {
+      retry.disabled = false;
     }
-  });
-}
 
-// ============================================
-// THEME TOGGLE
-// ============================================
+    notice.hidden = true;
+    setControlsEnabled(true);
+    if (controls.venue) populateVenueFilter(controls.venue);
+    renderPublications();
+    buildSearchIndex();
+  }
 
-function initThemeToggle() {
-  elements.themeToggle = $('.theme-toggle');
-  if (!elements.themeToggle) return;
-  
-  elements.themeToggle.addEventListener('click', toggleTheme);
+  retry.addEventListener('click', load, { signal });
+  await load();
 }
 
 // ============================================
-// PRELOADER
+// CITATIONS
 // ============================================
 
-function initPreloader() {
-  elements.preloader = $('.preloader');
-  if (!elements.preloader) return;
-  
-  // Hide preloader when page is fully loaded
-  window.addEventListener('load', () => {
-    setTimeout(() => {
-      elements.preloader.classList.add('hidden');
-      state.isLoaded = true;
-      document.body.classList.add('loaded');
-    }, 800);
-  });
-  
-  // Fallback: hide after 3 seconds regardless
-  setTimeout(() => {
-    if (!state.isLoaded) {
-      elements.preloader.classList.add('hidden');
-      state.isLoaded = true;
-    }
-  }, 3000);
+const CITATION_FORMATS = {
+  bibtex: { label: 'BibTeX', format: toBibtex },
+  ris: { label: 'RIS', format: toRis },
+  apa: { label: 'APA', format: toApa },
+  ieee: { label: 'IEEE', format: toIeee }
+};
+
+const CITATION_STATUS_NOTES = {
+  submitted: 'Submitted for publication',
+  accepted: 'In press'
+};
+
+const isEtAl = (author) => author === 'others';
+
+function splitAuthor(author) {
+  const [family, given = ''] = author.split(',').map((part) => part.trim());
+  return { family, given };
 }
 
-// ============================================
-// SMOOTH SCROLL
-// ============================================
+const initials = (given) => 
+  given.split(/[\s-]+/).filter(Boolean).map((name) => `${name[0]}.`).join(' ');
 
-function initSmoothScroll() {
-  $$('a[href^="#"]').forEach((anchor) => {
-    anchor.addEventListener('click', function(e) {
-      const href = this.getAttribute('href');
-      if (href === '#' || href === '#top') {
-        e.preventDefault();
-        window.scrollTo({ top: 0, behavior: 'smooth' });
-        return;
-      }
-      
-      const target = document.querySelector(href);
-      if (target) {
-        e.preventDefault();
-        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
-      }
-    });
-  });
+function listAuthors(pub, formatName) {
+  const names = pub.authors.filter((author) => !isEtAl(author)).map((author) => formatName(splitAuthor(author)));
+  return { names, etAl: pub.authors.some(isEtAl) };
 }
 
-// ============================================
-// SNAKE GAME
-// ============================================
+function citationKey(pub) {
+  const { family } = splitAuthor(pub.authors[0] || 'anon');
+  return `${family.toLowerCase().replace(/[^a-z]/g, '')}${pub.year}${pub.id}`;
+}
 
-let snakeRedraw = null;
+function toBibtex(pub) {
+  const fields = [
+    ['title', `{${pub.title}}`],
+    ['author', pub.authors.join(' and ')],
+    ['booktitle', pub.venue],
+    ['year', pub.year],
+    ['doi', pub.doi],
+    ['note', CITATION_STATUS_NOTES[pub.status]]
+  ].filter(([, value]) => value);
+  const body = fields.map(([key, value]) => `  ${key} = {${value}}`).join(',\n');
+  return `@${pub.venue ? 'inproceedings' : 'unpublished'}{${citationKey(pub)},\n${body}\n}`;
+}
 
-function initSnakeGame() {
-  const canvas = $('#snake-canvas');
-  const scoreEl = $('#snake-score');
-  const bestEl = $('#snake-best');
-  const startBtn = $('#snake-start');
-  const padBtns = $$('.pad-btn');
-  
-  if (!canvas || !scoreEl || !bestEl || !startBtn) return;
+function toRis(pub) {
+  const lines = [`TY  - ${pub.venue ? 'CONF' : 'UNPB'}`];
+  pub.authors.filter((author) => !isEtAl(author)).forEach((author) => lines.push(`AU  - ${author}`));
+  lines.push(`TI  - ${pub.title}`, `PY  - ${pub.year}`);
+  if (pub.venue) lines.push(`T2  - ${pub.venue}`);
+  if (pub.doi) lines.push(`DO  - ${pub.doi}`, `UR  - https://doi.org/${pub.doi}`);
+  if (CITATION_STATUS_NOTES[pub.status]) lines.push(`N1  - ${CITATION_STATUS_NOTES[pub.status]}`);
+  lines.push('ER  - ');
+  return lines.join('\n');
+}
 
-  const ctx = canvas.getContext('2d');
-  const gameState = {
-    size: 18,
-    cell: 20,
-    snake: [],
-    dir: { x: 1, y: 0 },
-    nextDir: { x: 1, y: 0 },
-    food: { x: 5, y: 5 },
-    running: false,
-    loop: null,
-    score: 0,
-    best: parseInt(localStorage.getItem('snake-best') || '0', 10)
-  };
+function toApa(pub) {
+  const { names, etAl } = listAuthors(pub, ({ family, given }) => `${family}, ${initials(given)}`);
+  let authors = names.length > 1
+    ? `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`
+    : names[0] || '';
+  if (etAl) authors += ', et al.';
 
-  function getColors() {
-    const isDark = state.theme === 'dark';
-    return {
-      bg: isDark ? '#1a1f26' : '#f7f4ee',
-      grid: isDark ? 'rgba(255,255,255,0.08)' : 'rgba(15,27,45,0.08)',
-      snake: isDark ? '#4a8bc2' : '#1f3a57',
-      head: isDark ? '#e8885a' : '#b96a3a',
-      food: '#3f8f4a',
-      text: isDark ? '#f0f4f8' : '#0f1b2d'
-    };
-  }
+  const date = pub.status === 'accepted' ? 'in press' : pub.year;
+  const parts = [`${authors} (${date}).`, `${pub.title}.`];
+  if (pub.status === 'submitted') parts[1] = `${pub.title} [Manuscript submitted for publication].`;
+  if (pub.venue) parts.push(`In ${pub.venue}.`);
+  if (pub.doi) parts.push(`https://doi.org/${pub.doi}`);
+  return parts.join(' ');
+}
 
-  function resizeBoard() {
-    const wrap = canvas.parentElement;
-    const max = Math.min(wrap.clientWidth, 520);
-    const px = Math.max(260, max);
-    canvas.width = px;
-    canvas.height = px;
-    gameState.cell = Math.floor(px / gameState.size);
-  }
+function toIeee(pub) {
+  const { names, etAl } = listAuthors(pub, ({ family, given }) => `${initials(given)} ${family}`.trim());
+  const authors = etAl ? `${names[0]} et al.` : names.join(', ');
+  const parts = [`${authors}, \u201c${pub.title},\u201d`];
+  if (pub.venue) parts.push(`in Proc. ${pub.venue},`);
+  if (pub.status === 'submitted') parts.push('submitted for publication,');
+  if (pub.status === 'accepted') parts.push('in press,');
+  parts.push(pub.doi ? `${pub.year}, doi: ${pub.doi}.` : `${pub.year}.`);
+  return parts.join(' ');
+}
 
-  function reset() {
-    resizeBoard();
-    gameState.snake = [
-      { x: 4, y: 9 },
-      { x: 3, y: 9 },
-      { x: 2, y: 9 }
-    ];
-    gameState.dir = { x: 1, y: 0 };
-    gameState.nextDir = { x: 1, y: 0 };
-    gameState.food = randomFood();
-    gameState.score = 0;
-    scoreEl.textContent = gameState.score;
-    bestEl.textContent = gameState.best;
-    gameState.running = true;
-    if (gameState.loop) clearInterval(gameState.loop);
-    gameState.loop = setInterval(tick, 120);
-    draw();
-  }
+function formatCitation(pub, format) {
+  return (CITATION_FORMATS[format] || CITATION_FORMATS.bibtex).format(pub);
+}
 
-  function randomFood() {
-    let p;
-    do {
-      p = {
-        x: Math.floor(Math.random() * gameState.size),
-        y: Math.floor(Math.random() * gameState.size)
-      };
-    } while (gameState.snake.some((s) => s.x === p.x && s.y === p.y));
-    return p;
-  }
+function openCitationPanel(item, pub) {
+  const panel = createEl('div', 'cite-panel');
+  panel.id = `cite-${pub.id}`;
+  panel.setAttribute('role', 'region');
+  panel.setAttribute('aria-label', t('publications.cite.panelLabel', 'Citation formats'));
 
-  function setDir(x, y) {
-    if (gameState.dir.x === -x && gameState.dir.y === -y) return;
-    gameState.nextDir = { x, y };
-  }
+  const tabs = createEl('div', 'cite-formats');
+  Object.entries(CITATION_FORMATS).forEach(([key, { label }]) => {
+    const tab = createEl('button', 'cite-format', label);
+    tab.type = 'button';
+    tab.dataset.format = key;
+    tab.setAttribute('aria-pressed', key === state.citation.format ? 'true' : 'false');
+    tabs.append(tab);
+  });
 
-  function tick() {
-    if (!gameState.running) return;
-    gameState.dir = { ...gameState.nextDir };
-    const head = { 
-      x: gameState.snake[0].x + gameState.dir.x, 
-      y: gameState.snake[0].y + gameState.dir.y 
-    };
+  const output = createEl('pre', 'cite-output');
+  output.append(createEl('code', '', formatCitation(pub, state.citation.format)));
 
-    // Wrap around
-    head.x = (head.x + gameState.size) % gameState.size;
-    head.y = (head.y + gameState.size) % gameState.size;
+  const copyBtn = createEl('button', 'button ghost small-btn cite-copy', t('publications.cite.copy', 'Copy'));
+  copyBtn.type = 'button';
 
-    if (gameState.snake.some((s) => s.x === head.x && s.y === head.y)) {
-      gameState.running = false;
-      draw();
-      return;
-    }
+  panel.append(tabs, output, copyBtn);
+  item.lastElementChild.append(panel);
+  item.querySelector('.cite-btn')?.setAttribute('aria-expanded', 'true');
+}
 
-    gameState.snake.unshift(head);
-    if (head.x === gameState.food.x && head.y === gameState.food.y) {
-      gameState.score += 1;
-      scoreEl.textContent = gameState.score;
-      if (gameState.score > gameState.best) {
-        gameState.best = gameState.score;
-        localStorage.setItem('snake-best', String(gameState.best));
-        bestEl.textContent = gameState.best;
-      }
-      gameState.food = randomFood();
-    } else {
-      gameState.snake.pop();
-    }
-    draw();
+function closeCitationPanel(item) {
+  item.querySelector('.cite-panel')?.remove();
+  item.querySelector('.cite-btn')?.setAttribute('aria-expanded', 'false');
+}
+
+async function copyToClipboard(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
   }
+  const area = createEl('textarea');
+  area.value = text;
+  area.setAttribute('readonly', '');
+  area.style.position = 'fixed';
+  area.style.opacity = '0';
+  document.body.append(area);
+  area.select();
+  const ok = document.execCommand('copy');
+  area.remove();
+  if (!ok) throw new Error('Copy command was rejected');
+}
 
-  function draw() {
-    const { cell, size } = gameState;
-    const colors = getColors();
-    
-    ctx.fillStyle = colors.bg;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = createEl('a');
+  link.href = url;
+  link.download = filename;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-    ctx.strokeStyle = colors.grid;
-    ctx.lineWidth = 1;
-    for (let i = 0; i <= size; i++) {
-      ctx.beginPath();
-      ctx.moveTo(i * cell + 0.5, 0);
-      ctx.lineTo(i * cell + 0.5, size * cell);
-      ctx.stroke();
-      ctx.beginPath();
-      ctx.moveTo(0, i * cell + 0.5);
-      ctx.lineTo(size * cell, i * cell + 0.5);
-      ctx.stroke();
-    }
+function handleCitationClick(e) {
+  const item = e.target.closest('[data-publication]');
+  if (!item) return;
+  const pub = state.publications.find((entry) => entry.id === item.dataset.publication);
+  if (!pub) return;
 
-    // Food with glow
-    ctx.shadowColor = colors.food;
-    ctx.shadowBlur = 10;
-    ctx.fillStyle = colors.food;
-    ctx.beginPath();
-    ctx.arc(
-      gameState.food.x * cell + cell / 2, 
-      gameState.food.y * cell + cell / 2, 
-      cell / 2 - 3, 
-      0, 
-      Math.PI * 2
-    );
-    ctx.fill();
-    ctx.shadowBlur = 0;
+  if (e.target.closest('.cite-btn')) {
+    const isOpen = state.citation.open === pub.id;
+    const previous = state.citation.open && $(`[data-publication="${state.citation.open}"]`);
+    if (previous) closeCitationPanel(previous);
+    state.citation.open = isOpen ? null : pub.id;
+    if (!isOpen) openCitationPanel(item, pub);
+    return;
+  }
 
-    // Snake with gradient
-    gameState.snake.forEach((seg, idx) => {
-      const isHead = idx === 0;
-      ctx.fillStyle = isHead ? colors.head : colors.snake;
-      
-      if (isHead) {
-        ctx.shadowColor = colors.head;
-        ctx.shadowBlur = 8;
-      }
-      
-      ctx.beginPath();
-      ctx.roundRect(
-        seg.x * cell + 2, 
-        seg.y * cell + 2, 
-        cell - 4, 
-        cell - 4, 
-        4
-      );
-      ctx.fill();
-      ctx.shadowBlur = 0;
+  const formatBtn = e.target.closest('.cite-format');
+  if (formatBtn) {
+    state.citation.format = formatBtn.dataset.format;
+    item.querySelectorAll('.cite-format').forEach((tab) => {
+      tab.setAttribute('aria-pressed', tab === formatBtn ? 'true' : 'false');
     });
+    item.querySelector('.cite-output code').textContent = formatCitation(pub, state.citation.format);
+    return;
+  }
 
-    if (!gameState.running) {
-      ctx.fillStyle = 'rgba(15,27,45,0.6)';
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-      ctx.fillStyle = colors.text;
-      ctx.font = "bold 20px 'Fraunces', serif";
-      ctx.textAlign = 'center';
-      ctx.fillText(t('lab.gameOver', 'Game Over - Press Start'), canvas.width / 2, canvas.height / 2);
-    }
+  const copyBtn = e.target.closest('.cite-copy');
+  if (copyBtn) {
+    copyToClipboard(formatCitation(pub, state.citation.format))
+      .then(() => { copyBtn.textContent = t('publications.cite.copied', 'Copied!'); })
+      .catch(() => { copyBtn.textContent = t('publications.cite.copyFailed', 'Copy failed'); })
+      .finally(() => {
+        setTimeout(() => { copyBtn.textContent = t('publications.cite.copy', 'Copy'); }, 2000);
+      });
   }
+}
 
-  // Update colors function for theme changes
-  window.updateSnakeColors = draw;
+function initCitations({ signal }) {
+  $('#publications-list')?.addEventListener('click', handleCitationClick, { signal });
 
-  function handleKey(e) {
-    const key = e.key.toLowerCase();
-    if (key === 'arrowup' || key === 'w') { e.preventDefault(); setDir(0, -1); }
-    else if (key === 'arrowdown' || key === 's') { e.preventDefault(); setDir(0, 1); }
-    else if (key === 'arrowleft' || key === 'a') { e.preventDefault(); setDir(-1, 0); }
-    else if (key === 'arrowright' || key === 'd') { e.preventDefault(); setDir(1, 0); }
-  }
+  $('#publications-download')?.addEventListener('click', () => {
+    if (!state.publications.length) return;
+    const bib = state.publications.map(toBibtex).join('\n\n');
+    downloadFile('mezzina-publications.bib', `${bib}\n`, 'application/x-bibtex');
+  }, { signal });
+}
 
-  let touchStart = null;
-  function handleTouchStart(e) {
-    const touch = e.touches[0];
+// ============================================
+// PROJECTS & ROLES
+// ============================================
+
+let collectionsRequest = null;
+const collectionViews = new Map();
+const localizedTexts = new WeakMap();
+
+// Both carousels read the same manifest, so it is fetched once
+function loadCollections() {
+  if (!collectionsRequest) {
+    collectionsRequest = fetch('data/projects.json')
+      .then((response) => {
+        if (!response.ok) throw new Error('Failed to load projects');
+        return response.json();
+      })
+      .catch((err) => {
+        collectionsRequest = null;
+        throw err;
+      });
+  }
+  return collectionsRequest;
+}
+
+// Manifest text is either a plain string or one string per language
+const localize = (text) => 
+  (text && typeof text === 'object' ? text[state.currentLang] ?? text.en : text) || '';
+
+function createLocalizedEl(tag, className, text) {
+  const el = createEl(tag, className, localize(text));
+  if (text && typeof text === 'object') {
+    el.dataset.localized = '';
+    localizedTexts.set(el, text);
+  }
+  return el;
+}
+
+function relocalize(root) {
+  root.querySelectorAll('[data-localized]').forEach((el) => {
+    el.textContent = localize(localizedTexts.get(el));
+  });
+}
+
+// UI strings inside rendered cards stay on data-i18n, so applyTranslations keeps them current
+function createTranslatedEl(key, tag, className, params) {
+  const el = createEl(tag, className, t(key, params || {}));
+  el.dataset.i18n = key;
+  if (params) el.dataset.i18nParams = JSON.stringify(params);
+  return el;
+}
+
+const openInNewTab = (link, url) => {
+  link.href = url;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  return link;
+};
+
+const isSameOrigin = (url) => new URL(url, window.location.href).origin === window.location.origin;
+
+// The card title names the project, so thumbnails are decorative
+function createThumbImage(src) {
+  const img = createEl('img', 'project-thumb-img');
+  img.src = src;
+  img.alt = '';
+  img.loading = 'lazy';
+  return img;
+}
+
+function createProjectThumb(project) {
+  const thumb = createEl('div', 'project-thumb');
+
+  if (project.status === 'live' && project.preview) {
+    const name = localize(project.name);
+    // The fallback always sits under the frame: the thumbnail when there is one, else the name
+    const fallback = createEl('div', 'project-fallback');
+    fallback.setAttribute('aria-hidden', 'true');
+    fallback.append(
+      project.thumb ? createThumbImage(project.thumb) : createLocalizedEl('span', '', project.name),
+      createTranslatedEl('projects.previews.unavailable', 'small', 'project-fallback__note')
+    );
+    thumb.append(fallback);
+    if (!project.frameable && !isSameOrigin(project.url)) return thumb;
+
+    const frame = createEl('iframe');
+    frame.dataset.src = project.url;
+    frame.title = t('projects.previewTitle', { name });
+    frame.tabIndex = -1;
+    frame.dataset.i18nAttr = 'title';
+    frame.dataset.i18nAttrKey = 'projects.previewTitle';
+    frame.dataset.i18nParams = JSON.stringify({ name });
+    thumb.append(frame);
+  } else if (project.image) {
+    thumb.append(createThumbImage(project.image));
+  }
+  return thumb;
+}
+
+function createProjectCard(project) {
+  const live = project.status === 'live' && project.url;
+  const card = live ? openInNewTab(createEl('a', 'project-card'), project.url) : createEl('div', 'project-card static');
+  card.dataset.item = project.id;
+  card.dataset.tags = (project.tags || []).join(' ');
+
+  const body = createEl('div', 'project-body');
+  const meta = createEl('div', 'project-status-row');
+  meta.append(
+    createLocalizedEl('p', 'label', project.label),
+    createTranslatedEl(`projects.status.${project.status}`, 'span', `project-status ${project.status}`)
+  );
+  body.append(meta, createLocalizedEl('h3', '', project.name));
+  if (project.body) body.append(createLocalizedEl('p', 'muted', project.body));
+
+  if (project.status === 'demo' && project.contact) {
+    const cta = createTranslatedEl('projects.demoCta', 'a', 'button ghost small-btn');
+    cta.href = `mailto:${project.contact.address}`;
+    cta.dataset.mailto = project.contact.mailto;
+    cta.dataset.mailtoAddress = project.contact.address;
+    body.append(cta);
+  }
+
+  card.append(createProjectThumb(project), body);
+  return card;
+}
+
+function createRoleItem(role) {
+  const item = createEl('li');
+  item.dataset.item = role.id;
+  item.dataset.tags = (role.tags || []).join(' ');
+  item.append(createLocalizedEl('strong', '', role.name), ' — ', createLocalizedEl('span', '', role.role));
+  if (role.url) {
+    const link = openInNewTab(createTranslatedEl('common.link', 'a', 'link'), role.url);
+    item.append(' (', link, ')');
+  }
+  item.append('.');
+  return item;
+}
+
+// One card per year, newest first; the card carries every tag of its roles
+function createRoleCards(roles) {
+  const years = [...new Set(roles.map((role) => role.year))].sort((a, b) => b - a);
+  return years.map((year) => {
+    const entries = roles.filter((role) => role.year === year);
+    const card = createEl('article', 'card role-card');
+    card.dataset.tags = [...new Set(entries.flatMap((role) => role.tags || []))].join(' ');
+    const list = createEl('ul', 'stack');
+    list.append(...entries.map(createRoleItem));
+    card.append(createEl('h3', '', String(year)), list);
+    return card;
+  });
+}
+
+function createTagFilters(items) {
+  const tags = [...new Set(items.flatMap((item) => item.tags || []))];
+  const group = createEl('div', 'chip-row carousel-filters');
+  group.setAttribute('role', 'group');
+  group.setAttribute('aria-label', t('collections.filterAria'));
+  group.dataset.i18nAttr = 'aria-label';
+  group.dataset.i18nAttrKey = 'collections.filterAria';
+
+  const chips = ['all', ...tags].map((tag) => {
+    const chip = tag === 'all'
+      ? createTranslatedEl('collections.all', 'button', 'chip filter-chip')
+      : createTranslatedEl(`collections.tags.${tag}`, 'button', 'chip filter-chip');
+    chip.type = 'button';
+    chip.dataset.tag = tag;
+    return chip;
+  });
+  group.append(...chips);
+  group.hidden = tags.length < 2;
+  return group;
+}
+
+function filterByTag(root, tag) {
+  root.querySelectorAll('[data-tags]').forEach((el) => {
+    el.hidden = tag !== 'all' && !el.dataset.tags.split(' ').includes(tag);
+  });
+}
+
+/** Clears a filter hiding the item and brings its card into the carousel's view. */
+function revealCollectionItem(collection, id) {
+  return collectionViews.get(collection)?.reveal(id) || null;
+}
+
+// ============================================
+// CAROUSEL
+// ============================================
+
+const CAROUSEL_KEYS = { ArrowLeft: -1, ArrowRight: 1 };
+
+/** Index of the card whose centre sits closest to the centre of the track. */
+function getNearestCard(track, cards) {
+  const box = track.getBoundingClientRect();
+  const center = box.left + box.width / 2;
+  let nearest = 0;
+  let best = Infinity;
+  cards.forEach((card, i) => {
+    const rect = card.getBoundingClientRect();
+    const gap = Math.abs(rect.left + rect.width / 2 - center);
+    if (gap < best) {
+      best = gap;
+      nearest = i;
+    }
+  });
+  return nearest;
+}
+
+// Scrolls the track alone; scrollIntoView would drag the page along with it
+function centerCard(track, card, behavior) {
+  const box = track.getBoundingClientRect();
+  const rect = card.getBoundingClientRect();
+  const left = track.scrollLeft + rect.left - box.left - (box.width - rect.width) / 2;
+  track.scrollTo({ left, behavior });
+}
+
+// Wires prev/next, dots, keys and autoplay over `cards`; returns controls to
+// show a card and to undo everything, so filtering can rebuild it
+function attachCarousel(carousel, track, cards) {
+  const controller = new AbortController();
+  const { signal } = controller;
+  const teardown = [() => controller.abort()];
+  const prev = carousel.querySelector('.prev');
+  const next = carousel.querySelector('.next');
+
+  const count = cards.length;
+  const delay = Number(carousel.dataset.autoplay) || 0;
+  let index = 0;
+  let timer = null;
+  let hovered = false;
+  let focused = false;
+
+  const dots = createEl('div', 'carousel-dots');
+  const status = createEl('p', 'visually-hidden');
+  status.setAttribute('aria-live', 'polite');
+  status.setAttribute('aria-atomic', 'true');
+  const dotButtons = cards.map((card, i) => {
+    const dot = createEl('button', 'carousel-dot');
+    dot.type = 'button';
+    dot.addEventListener('click', () => goTo(i), { signal });
+    return dot;
+  });
+  dots.append(...dotButtons);
+  dots.hidden = count < 2;
+  carousel.append(dots, status);
+  teardown.push(() => {
+    dots.remove();
+    status.remove();
+  });
+
+  const position = (i) => t('carousel.position', { index: i + 1, count }, `${i + 1} / ${count}`);
+
+  function renderLabels() {
+    carousel.setAttribute('aria-roledescription', t('carousel.roledescription', 'carousel'));
+    dots.setAttribute('aria-label', t('carousel.pagination', 'Slides'));
+    cards.forEach((card, i) => {
+      // Links keep their own role and name; only plain containers become slides
+      if (card.matches('a, button')) return;
+      card.setAttribute('role', 'group');
+      card.setAttribute('aria-roledescription', t('carousel.slide', 'slide'));
+      card.setAttribute('aria-label', position(i));
+    });
+    dotButtons.forEach((dot, i) => {
+      dot.setAttribute('aria-label', t('carousel.goTo', { index: i + 1 }, position(i)));
+    });
+  }
+
+  function setIndex(i, announce = true) {
+    index = i;
+    dotButtons.forEach((dot, n) => {
+      if (n === index) dot.setAttribute('aria-current', 'true');
+      else dot.removeAttribute('aria-current');
+    });
+    if (announce) status.textContent = position(index);
+  }
+
+  function goTo(i) {
+    if (!count) return;
+    const target = (i + count) % count;
+    setIndex(target);
+    centerCard(track, cards[target], getScrollBehavior());
+    scheduleAutoplay();
+  }
+
+  // Autoplay only runs while nobody is looking at or working in the carousel
+  function scheduleAutoplay() {
+    clearTimeout(timer);
+    timer = null;
+    const playing = delay > 0 && count > 1 && !hovered && !focused && !prefersReducedMotion() && !document.hidden;
+    status.setAttribute('aria-live', playing ? 'off' : 'polite');
+    if (playing) timer = setTimeout(() => goTo(index + 1), delay);
+  }
+
+  prev?.addEventListener('click', () => goTo(index - 1), { signal });
+  next?.addEventListener('click', () => goTo(index + 1), { signal });
+
+  // Native scrolling (trackpad, touch, scrollbar) moves the index too
+  track.addEventListener('scroll', debounce(() => {
+    if (signal.aborted || !count) return;
+    const nearest = getNearestCard(track, cards);
+    if (nearest !== index) setIndex(nearest);
+  }, 100), { passive: true, signal });
+
+  carousel.addEventListener('keydown', (e) => {
+    if (e.altKey || e.ctrlKey || e.metaKey || isEditableTarget(e.target)) return;
+    const rtl = getComputedStyle(track).direction === 'rtl';
+    if (e.key in CAROUSEL_KEYS) goTo(index + CAROUSEL_KEYS[e.key] * (rtl ? -1 : 1));
+    else if (e.key === 'Home') goTo(0);
+    else if (e.key === 'End') goTo(count - 1);
+    else return;
+    e.preventDefault();
+  }, { signal });
+
+  // Keep the current card centred when the track changes width, without animating
+  if ('ResizeObserver' in window && count) {
+    let width = track.clientWidth;
+    const observer = new ResizeObserver(() => {
+      if (track.clientWidth === width) return;
+      width = track.clientWidth;
+      centerCard(track, cards[index], 'instant');
+    });
+    observer.observe(track);
+    teardown.push(() => observer.disconnect());
+  }
+
+  if (delay > 0) {
+    carousel.addEventListener('mouseenter', () => { hovered = true; scheduleAutoplay(); }, { signal });
+    carousel.addEventListener('mouseleave', () => { hovered = false; scheduleAutoplay(); }, { signal });
+    carousel.addEventListener('focusin', () => { focused = true; scheduleAutoplay(); }, { signal });
+    carousel.addEventListener('focusout', (e) => {
+      if (carousel.contains(e.relatedTarget)) return;
+      focused = false;
+      scheduleAutoplay();
+    }, { signal });
+    document.addEventListener('visibilitychange', scheduleAutoplay, { signal });
+    teardown.push(subscribe(EVENTS.MOTION_CHANGE, scheduleAutoplay));
+    teardown.push(() => clearTimeout(timer));
+  }
+
+  teardown.push(subscribe(EVENTS.LANG_CHANGE, renderLabels));
+
+  renderLabels();
+  if (count) setIndex(getNearestCard(track, cards), false);
+  scheduleAutoplay();
+
+  return {
+    show: (card) => goTo(cards.indexOf(card)),
+    destroy: () => teardown.splice(0).reverse().forEach((fn) => fn())
+  };
+}
+
+/**
+ * Renders one manifest collection into a carousel with tag filters above it.
+ * `render(items)` returns the cards; anything carrying data-tags can be filtered.
+ */
+async function initCarousel({ signal, on, cleanup }, { selector, track: trackSelector, card: cardSelector, collection, render }) {
+  const carousel = $(selector);
+  const track = carousel?.querySelector(trackSelector);
+  if (!track) return;
+
+  let items = null;
+  try {
+    items = (await loadCollections())[collection] || [];
+  } catch (err) {
+    console.error(err);
+  }
+  if (signal.aborted) return;
+
+  // Without the manifest the static cards from the page stay, unfiltered but navigable
+  if (!items) {
+    const controls = attachCarousel(carousel, track, [...track.querySelectorAll(cardSelector)]);
+    cleanup(() => controls.destroy());
+    return;
+  }
+
+  state.collections[collection] = items;
+  track.replaceChildren(...render(items));
+  updateMailtoLinks();
+
+  let controls = null;
+  const filters = createTagFilters(items);
+  carousel.before(filters);
+
+  function setFilter(tag) {
+    const chips = [...filters.querySelectorAll('[data-tag]')];
+    const active = chips.some((chip) => chip.dataset.tag === tag) ? tag : 'all';
+    state.collectionFilters[collection] = active;
+    chips.forEach((chip) => chip.setAttribute('aria-pressed', String(chip.dataset.tag === active)));
+    filterByTag(track, active);
+
+    controls?.destroy();
+    track.scrollTo({ left: 0, behavior: 'instant' });
+    const cards = [...track.querySelectorAll(cardSelector)].filter((card) => !card.hidden);
+    controls = attachCarousel(carousel, track, cards);
+    emit(EVENTS.COLLECTION_RENDER, { collection, tag: active });
+  }
+
+  filters.addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-tag]');
+    if (chip) setFilter(chip.dataset.tag);
+  }, { signal });
+
+  collectionViews.set(collection, {
+    reveal(id) {
+      const item = track.querySelector(`[data-item="${id}"]`);
+      if (!item) return null;
+      if (item.closest('[hidden]')) setFilter('all');
+      controls.show(item.closest(cardSelector));
+      return item;
+    }
+  });
+
+  on(EVENTS.LANG_CHANGE, () => relocalize(track));
+  cleanup(() => {
+    controls?.destroy();
+    filters.remove();
+    collectionViews.delete(collection);
+  });
+
+  setFilter(state.collectionFilters[collection]);
+  buildSearchIndex();
+}
+
+// ============================================
+// PROJECT PREVIEWS
+// ============================================
+
+const reducedDataQuery = window.matchMedia('(prefers-reduced-data: reduce)');
+
+function prefersReducedData() {
+  return Boolean(navigator.connection?.saveData) || reducedDataQuery.matches;
+}
+
+// Stored choice is 'auto' or 'click'; asking to save data always means click
+function getPreviewPreference() {
+  if (prefersReducedData()) return 'click';
+  return localStorage.getItem(CONFIG.PREVIEW_STORAGE_KEY) === 'click' ? 'click' : 'auto';
+}
+
+// A frame fires load for error pages too, so the response is checked before the
+// frame is pointed at it. Sites that refuse a CORS read cannot be checked and keep
+// their thumbnail; frameable in the manifest only means the site may be framed
+async function probePreview(url, signal) {
+  try {
+    const response = await fetch(url, { cache: 'no-store', signal });
+    return response.ok && (response.headers.get('content-type') || '').includes('text/html');
+  } catch (err) {
+    return false;
+  }
+}
+
+// Browsers also fire load for a frame blocked by X-Frame-Options or frame-ancestors.
+// A same-origin frame can be checked for content; a cross-origin one has nothing to inspect
+function isFrameShowable(frame) {
+  let doc = null;
+  try {
+    doc = frame.contentDocument;
+  } catch (err) {
+    return true;
+  }
+  return !doc || (doc.URL !== 'about:blank' && Boolean(doc.body?.childElementCount));
+}
+
+// Cards come from the manifest, so frames are picked up whenever a collection renders
+function initProjectPreviews({ signal, on, cleanup }) {
+  const toggle = $('.preview-toggle');
+  const frames = new Set();
+  const near = new Set();
+  const timers = new Map();
+  const attempts = new Map();
+  let enabled = getPreviewPreference() === 'auto';
+
+  const thumbOf = (frame) => frame.closest('.project-thumb');
+
+  function settle(frame, status) {
+    clearTimeout(timers.get(frame));
+    timers.delete(frame);
+    thumbOf(frame).dataset.preview = status;
+    if ((status === 'idle' || status === 'failed') && frame.hasAttribute('src')) frame.src = 'about:blank';
+  }
+
+  function load(frame) {
+    const thumb = thumbOf(frame);
+    if (!enabled || !near.has(frame) || thumb.dataset.preview !== 'idle') return;
+    thumb.dataset.preview = 'loading';
+    // Catches sites that hang; a refused frame still fires load and is judged there
+    timers.set(frame, setTimeout(() => settle(frame, 'failed'), CONFIG.PREVIEW_TIMEOUT));
+    const attempt = (attempts.get(frame) || 0) + 1;
+    attempts.set(frame, attempt);
+    probePreview(frame.dataset.src, signal).then((ok) => {
+      // Previews switched off, or tried again, while the check was in flight
+      if (attempts.get(frame) !== attempt || thumb.dataset.preview !== 'loading') return;
+      if (ok) frame.src = frame.dataset.src;
+      else settle(frame, 'failed');
+    });
+  }
+
+  function setEnabled(value, persist) {
+    enabled = value;
+    if (persist) localStorage.setItem(CONFIG.PREVIEW_STORAGE_KEY, value ? 'auto' : 'click');
+    toggle?.setAttribute('aria-pressed', String(value));
+    frames.forEach((frame) => {
+      if (!value) settle(frame, 'idle');
+      else if (thumbOf(frame).dataset.preview === 'failed') thumbOf(frame).dataset.preview = 'idle';
+      load(frame);
+    });
+  }
+
+  const observer = 'IntersectionObserver' in window
+    ? new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) near.add(entry.target);
+        else near.delete(entry.target);
+        load(entry.target);
+      });
+    }, { rootMargin: CONFIG.PREVIEW_ROOT_MARGIN })
+    : null;
+  cleanup(() => observer?.disconnect());
+
+  function watchFrames() {
+    frames.forEach((frame) => {
+      if (frame.isConnected) return;
+      clearTimeout(timers.get(frame));
+      observer?.unobserve(frame);
+      frames.delete(frame);
+      attempts.delete(frame);
+      near.delete(frame);
+    });
+
+    $$('.project-thumb iframe[data-src]').forEach((frame) => {
+      if (frames.has(frame)) return;
+      frames.add(frame);
+      const thumb = thumbOf(frame);
+      thumb.dataset.preview = 'idle';
+      frame.addEventListener('load', () => {
+        if (thumb.dataset.preview === 'loading') settle(frame, isFrameShowable(frame) ? 'ready' : 'failed');
+      }, { signal });
+      if (observer) {
+        observer.observe(frame);
+      } else {
+        near.add(frame);
+        load(frame);
+      }
+    });
+  }
+
+  // Turning previews on while saving data counts for this visit only
+  toggle?.addEventListener('click', () => setEnabled(!enabled, !prefersReducedData()), { signal });
+
+  const onDataPreference = () => {
+    if (prefersReducedData() && enabled) setEnabled(false, false);
+  };
+  reducedDataQuery.addEventListener('change', onDataPreference, { signal });
+  navigator.connection?.addEventListener?.('change', onDataPreference, { signal });
+
+  on(EVENTS.COLLECTION_RENDER, ({ collection }) => {
+    if (collection === 'projects') watchFrames();
+  });
+  cleanup(() => frames.forEach((frame) => {
+    settle(frame, 'idle');
+    delete thumbOf(frame).dataset.preview;
+  }));
+  setEnabled(enabled, false);
+  watchFrames();
+}
+
+// ============================================
+// MOBILE NAVIGATION
+// ============================================
+
+function initMobileNav({ signal }) {
+  elements.navToggle = $('.nav__toggle');
+  elements.nav = $('.nav');
+  
+  if (!elements.navToggle || !elements.nav) return;
+  
+  elements.navToggle.addEventListener('click', () => {
+    elements.navToggle.classList.toggle('active');
+    elements.nav.classList.toggle('nav-open');
+  }, { signal });
+  
+  // Close nav when clicking a link
+  $$('.nav nav a').forEach((link) => {
+    link.addEventListener('click', () => {
+      elements.navToggle.classList.remove('active');
+      elements.nav.classList.remove('nav-open');
+    }, { signal });
+  });
+  
+  // Close nav when clicking outside
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('.nav') && elements.nav.classList.contains('nav-open')) {
+      elements.navToggle.classList.remove('active');
+      elements.nav.classList.remove('nav-open');
+    }
+  }, { signal });
+}
+
+// ============================================
+// THEME & MOTION TOGGLES
+// ============================================
+
+function initThemeSwitch({ signal, on }) {
+  elements.themeSwitch = $('.theme-switch');
+  if (!elements.themeSwitch) return;
+
+  function update() {
+    elements.themeSwitch.querySelectorAll('[data-theme-choice]').forEach((btn) => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.themeChoice === state.themePreference));
+    });
+    elements.themeSwitch.querySelector('[data-contrast-toggle]')
+      ?.setAttribute('aria-pressed', String(state.highContrast));
+  }
+
+  elements.themeSwitch.addEventListener('click', (e) => {
+    const choice = e.target.closest('[data-theme-choice]')?.dataset.themeChoice;
+    if (choice) setThemePreference(choice);
+    else if (e.target.closest('[data-contrast-toggle]')) toggleContrast();
+  }, { signal });
+  on(EVENTS.THEME_CHANGE, update);
+  update();
+}
+
+function initMotionToggle({ signal, on }) {
+  elements.motionToggle = $('.motion-toggle');
+  if (!elements.motionToggle) return;
+  
+  const update = () => elements.motionToggle.setAttribute('aria-pressed', String(state.reducedMotion));
+  update();
+  on(EVENTS.MOTION_CHANGE, update);
+  elements.motionToggle.addEventListener('click', toggleMotion, { signal });
+}
+
+// ============================================
+// PRELOADER
+// ============================================
+
+function initPreloader({ signal }) {
+  elements.preloader = $('.preloader');
+  if (!elements.preloader) return;
+  
+  // Hide preloader once the page is loaded and the stored language is applied
+  window.addEventListener('load', () => {
+    state.i18nReady.finally(() => {
+      setTimeout(() => {
+        elements.preloader.classList.add('hidden');
+        state.isLoaded = true;
+        document.body.classList.add('loaded');
+      }, 800);
+    });
+  }, { signal });
+  
+  // Fallback: hide after 3 seconds regardless
+  setTimeout(() => {
+    if (!state.isLoaded) {
+      elements.preloader.classList.add('hidden');
+      state.isLoaded = true;
+    }
+  }, 3000);
+}
+
+// ============================================
+// SMOOTH SCROLL
+// ============================================
+
+function scrollToElement(target) {
+  target.scrollIntoView({ behavior: getScrollBehavior(), block: 'start' });
+}
+
+function initSmoothScroll({ signal }) {
+  $$('a[href^="#"]').forEach((anchor) => {
+    anchor.addEventListener('click', function(e) {
+      const href = this.getAttribute('href');
+      if (href === '#' || href === '#top') {
+        e.preventDefault();
+        window.scrollTo({ top: 0, behavior: getScrollBehavior() });
+        updateUrl('push', null);
+        return;
+      }
+      
+      const target = document.querySelector(href);
+      if (target) {
+        e.preventDefault();
+        scrollToElement(target);
+        updateUrl('push', target.id);
+      }
+    }, { signal });
+  });
+}
+
+// ============================================
+// SNAKE GAME
+// ============================================
+
+const SNAKE_BOARD_SIZE = 18;
+
+// Obstacles are inclusive [x1, y1, x2, y2] segments on the 18x18 board
+const SNAKE_MODES = {
+  classic: { wrap: true, obstacles: [] },
+  walls: { wrap: false, obstacles: [] },
+  maze: {
+    wrap: true,
+    obstacles: [
+      [4, 4, 13, 4],
+      [4, 13, 13, 13],
+      [1, 7, 1, 11],
+      [16, 7, 16, 11]
+    ]
+  }
+};
+
+// Intervals in ms; every level shaves speedUp off until minInterval
+const SNAKE_DIFFICULTIES = {
+  easy: { interval: 150, minInterval: 90, speedUp: 5 },
+  normal: { interval: 120, minInterval: 65, speedUp: 6 },
+  hard: { interval: 95, minInterval: 45, speedUp: 7 }
+};
+
+const SNAKE_POINTS_PER_LEVEL = 4;
+const SNAKE_INPUT_QUEUE_SIZE = 3;
+
+// Longest gap the fixed-step loop will catch up on after a stalled frame
+const SNAKE_MAX_FRAME_TIME = 250;
+
+// Standard Gamepad mapping: d-pad on buttons 12-15, Start on 9, left stick on axes 0/1
+const SNAKE_GAMEPAD_BUTTONS = { up: 12, down: 13, left: 14, right: 15, start: 9 };
+const SNAKE_GAMEPAD_DEADZONE = 0.5;
+const SNAKE_SETTINGS_KEY = 'snake-settings';
+
+// Idle time before attract mode starts a demo, and the pause between demo runs
+const SNAKE_ATTRACT_DELAY = 6000;
+const SNAKE_DEMO_RESTART_DELAY = 1500;
+
+const getSnakeLevel = (score) => 1 + Math.floor(score / SNAKE_POINTS_PER_LEVEL);
+
+function getSnakeInterval(score, difficulty) {
+  const preset = SNAKE_DIFFICULTIES[difficulty] || SNAKE_DIFFICULTIES.normal;
+  return Math.max(preset.minInterval, preset.interval - (getSnakeLevel(score) - 1) * preset.speedUp);
+}
+
+function readSnakeSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(SNAKE_SETTINGS_KEY) || '{}') || {};
+  } catch (err) {
+    // Unreadable settings fall back to the defaults below
+  }
+  return {
+    mode: SNAKE_MODES[stored.mode] ? stored.mode : 'classic',
+    difficulty: SNAKE_DIFFICULTIES[stored.difficulty] ? stored.difficulty : 'normal',
+    players: stored.players === 2 ? 2 : 1,
+    strategy: SnakeAutopilot.STRATEGIES.includes(stored.strategy) ? stored.strategy : 'astar',
+    showPath: stored.showPath !== false
+  };
+}
+
+// Versus gives WASD to player 1 and the arrows to player 2; solo takes both sets.
+// Touch, the on-screen pad and gamepads always steer player 1
+const SNAKE_KEYS = {
+  w: ['up', 0],
+  a: ['left', 0],
+  s: ['down', 0],
+  d: ['right', 0],
+  arrowup: ['up', 1],
+  arrowleft: ['left', 1],
+  arrowdown: ['down', 1],
+  arrowright: ['right', 1]
+};
+
+// Speed follows the leading player in versus rounds
+const getBoardScore = (game) =>
+  (game.players ? Math.max(...game.players.map((player) => player.score)) : game.score);
+
+function createVersusGame(mode, seed = randomSeed()) {
+  const { wrap, obstacles } = SNAKE_MODES[mode];
+  return SnakeEngine.createVersusState({
+    size: SNAKE_BOARD_SIZE,
+    seed,
+    wrap,
+    obstacles: SnakeEngine.expandSegments(obstacles)
+  });
+}
+
+function createSnakeGame(mode, seed = randomSeed()) {
+  const { wrap, obstacles } = SNAKE_MODES[mode];
+  return SnakeEngine.createState({
+    size: SNAKE_BOARD_SIZE,
+    seed,
+    wrap,
+    obstacles: SnakeEngine.expandSegments(obstacles)
+  });
+}
+
+// Only the seed comes from Math.random(); the run itself is reproducible from it
+const randomSeed = () => Math.floor(Math.random() * 2 ** 32);
+
+function initSnakeGame({ signal, on, cleanup }) {
+  const canvas = $('#snake-canvas');
+  const scoreEl = $('#snake-score');
+  const bestEl = $('#snake-best');
+  const levelEl = $('#snake-level');
+  const modeSelect = $('#snake-mode');
+  const difficultySelect = $('#snake-difficulty');
+  const playersSelect = $('#snake-players');
+  const leaderboardBody = $('#snake-leaderboard');
+  const leaderboardStatus = $('#snake-leaderboard-status');
+  const initialsInput = $('#snake-initials');
+  const importInput = $('#snake-import');
+  const replayBtn = $('#snake-replay');
+  const replayControls = $('#snake-replay-controls');
+  const replayToggle = $('#replay-toggle');
+  const replaySpeed = $('#replay-speed');
+  const replayStatus = $('#snake-replay-status');
+  const autopilotBtn = $('#snake-autopilot');
+  const strategySelect = $('#snake-strategy');
+  const showPathInput = $('#snake-show-path');
+  const startBtn = $('#snake-start');
+  const padBtns = $$('.pad-btn');
+  const pauseBtn = $('.pad-btn[data-action="pause"]');
+  
+  if (!canvas || !scoreEl || !bestEl || !startBtn) return;
+
+  const ctx = canvas.getContext('2d');
+  const settings = readSnakeSettings();
+  const gameState = {
+    size: SNAKE_BOARD_SIZE,
+    cell: 20,
+    mode: settings.mode,
+    difficulty: settings.difficulty,
+    players: settings.players,
+    // Pure engine state from SnakeEngine (solo or versus); everything else here is UI
+    game: settings.players === 2 ? createVersusGame(settings.mode) : createSnakeGame(settings.mode),
+    running: false,
+    paused: false,
+    countdown: 0,
+    countdownTimer: null,
+    inView: true,
+    // rAF handle; logic steps are fixed, drawing interpolates from `previous`
+    frame: null,
+    lastFrame: 0,
+    accumulator: 0,
+    previous: null,
+    dpr: 1,
+    layer: null,
+    // Play time in ms, summed per tick so pauses never count
+    elapsed: 0,
+    leaderboard: readLeaderboard(),
+    lastEntry: null,
+    best: 0,
+    // Seed, settings and turns of the run in progress, kept as lastReplay once it ends
+    recording: null,
+    lastReplay: null,
+    replay: null,
+    replaySpeed: 1,
+    // Turns waiting for a tick, one queue per player; at most one each is applied per step
+    inputQueues: [[], []],
+    // Autopilot steers through setDir like a player; demo is the attract-mode run
+    autopilot: false,
+    demo: false,
+    assisted: false,
+    strategy: settings.strategy,
+    showPath: settings.showPath,
+    plan: null,
+    // Head cells the autopilot has steered from since the last meal
+    trail: [],
+    attractTimer: null,
+    // Kept as a function rather than text, so the message follows language switches
+    replayMessage: null
+  };
+  gameState.best = getTopScore(gameState.leaderboard, gameState.mode);
+
+  // Colours live in styles.css as --snake-* properties on the canvas, one set per
+  // theme and contrast; they are read once per theme change rather than per frame
+  let colors = null;
+
+  function readColors() {
+    const styles = getComputedStyle(canvas);
+    const read = (name, fallback) => styles.getPropertyValue(`--snake-${name}`).trim() || fallback;
+    return {
+      bg: read('bg', '#f7f4ee'),
+      grid: read('grid', 'rgba(15,27,45,0.08)'),
+      snake: read('body', '#1f3a57'),
+      head: read('head', '#b96a3a'),
+      food: read('food', '#3f8f4a'),
+      snake2: read('body-2', '#6b3fa0'),
+      head2: read('head-2', '#c0398b'),
+      obstacle: read('obstacle', '#8a94a3'),
+      wall: read('wall', '#b96a3a'),
+      path: read('path', 'rgba(185,106,58,0.5)'),
+      text: read('text', '#0f1b2d'),
+      overlay: read('overlay', 'rgba(15,27,45,0.6)')
+    };
+  }
+
+  function getColors() {
+    if (!colors) colors = readColors();
+    return colors;
+  }
+
+  // Cells are whole device pixels and the canvas is exactly size × cell of them,
+  // so the board stays sharp on HiDPI screens with nothing left over at the edge
+  function resizeBoard() {
+    const wrap = canvas.parentElement;
+    const cssSize = Math.max(260, Math.min(wrap.clientWidth, 520));
+    const dpr = window.devicePixelRatio || 1;
+    const cell = Math.max(1, Math.floor((cssSize * dpr) / gameState.size));
+    const px = cell * gameState.size;
+    canvas.width = px;
+    canvas.height = px;
+    canvas.style.width = `${px / dpr}px`;
+    canvas.style.height = `${px / dpr}px`;
+    gameState.cell = cell;
+    gameState.dpr = dpr;
+    gameState.layer = null;
+  }
+
+  // Zoom or a move to another screen changes the ratio without a resize event
+  function watchPixelRatio() {
+    const query = window.matchMedia?.(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    query?.addEventListener?.('change', () => {
+      resizeBoard();
+      draw();
+      watchPixelRatio();
+    }, { once: true, signal });
+  }
+
+  function setBoard(game) {
+    gameState.game = game;
+    gameState.previous = null;
+    gameState.trail = [];
+  }
+
+  function updateMeta() {
+    const { game } = gameState;
+    $$('.snake-meta [data-players]').forEach((pill) => {
+      pill.hidden = Number(pill.dataset.players) !== (game.players ? 2 : 1);
+    });
+    if (game.players) {
+      game.players.forEach((player, i) => {
+        const el = $(`#snake-score-p${i + 1}`);
+        if (el) el.textContent = player.score;
+      });
+    } else {
+      scoreEl.textContent = game.score;
+      bestEl.textContent = gameState.best;
+    }
+    if (levelEl) levelEl.textContent = getSnakeLevel(getBoardScore(game));
+  }
+
+  function createBoard() {
+    return gameState.players === 2 ? createVersusGame(gameState.mode) : createSnakeGame(gameState.mode);
+  }
+
+  const isAnimating = () =>
+    (gameState.replay ? gameState.replay.playing : gameState.running && !gameState.paused);
+
+  // Read on every step, so level-ups and replay speed changes apply immediately
+  function getStepInterval() {
+    const { replay, game } = gameState;
+    if (replay) return getSnakeInterval(getBoardScore(game), replay.log.difficulty) / gameState.replaySpeed;
+    return getSnakeInterval(getBoardScore(game), gameState.difficulty);
+  }
+
+  // Fixed timestep: logic advances in whole steps, drawing interpolates between them
+  function frame(now) {
+    gameState.accumulator += Math.min(now - gameState.lastFrame, SNAKE_MAX_FRAME_TIME);
+    gameState.lastFrame = now;
+
+    let interval = getStepInterval();
+    while (isAnimating() && gameState.accumulator >= interval) {
+      gameState.accumulator -= interval;
+      if (gameState.replay) replayTick();
+      else tick();
+      interval = getStepInterval();
+    }
+
+    if (!isAnimating()) {
+      gameState.frame = null;
+      draw();
+      return;
+    }
+    draw(gameState.accumulator / interval);
+    gameState.frame = requestAnimationFrame(frame);
+  }
+
+  function startLoop() {
+    if (gameState.frame || !isAnimating()) return;
+    gameState.lastFrame = performance.now();
+    gameState.accumulator = 0;
+    gameState.frame = requestAnimationFrame(frame);
+  }
+
+  function stopLoop() {
+    cancelAnimationFrame(gameState.frame);
+    gameState.frame = null;
+  }
+
+  function reset() {
+    resizeBoard();
+    endReplay();
+    cancelAttract();
+    gameState.demo = false;
+    gameState.assisted = gameState.autopilot;
+    gameState.plan = null;
+    setBoard(createBoard());
+    gameState.recording = {
+      mode: gameState.mode,
+      difficulty: gameState.difficulty,
+      seed: gameState.game.seed,
+      turns: []
+    };
+    setReplayMessage(null);
+    gameState.inputQueues = [[], []];
+    cancelCountdown();
+    gameState.paused = false;
+    gameState.running = true;
+    gameState.elapsed = 0;
+    updateMeta();
+    updatePauseButton();
+    updateReplayControls();
+    stopLoop();
+    startLoop();
+    draw();
+  }
+
+  function saveSettings() {
+    localStorage.setItem(SNAKE_SETTINGS_KEY, JSON.stringify({
+      mode: gameState.mode,
+      difficulty: gameState.difficulty,
+      players: gameState.players,
+      strategy: gameState.strategy,
+      showPath: gameState.showPath
+    }));
+  }
+
+  // Switching mode or difficulty abandons the current run and shows the new board
+  function applySettings() {
+    gameState.mode = SNAKE_MODES[modeSelect?.value] ? modeSelect.value : gameState.mode;
+    gameState.difficulty = SNAKE_DIFFICULTIES[difficultySelect?.value] ? difficultySelect.value : gameState.difficulty;
+    if (playersSelect) gameState.players = playersSelect.value === '2' ? 2 : 1;
+    saveSettings();
+    endReplay();
+    stopLoop();
+    cancelCountdown();
+    gameState.running = false;
+    gameState.paused = false;
+    gameState.demo = false;
+    gameState.plan = null;
+    setBoard(createBoard());
+    gameState.best = getTopScore(gameState.leaderboard, gameState.mode);
+    gameState.lastEntry = null;
+    updateMeta();
+    updatePauseButton();
+    updateReplayControls();
+    updateAutopilotButton();
+    renderLeaderboard();
+    draw();
+    scheduleAttract();
+  }
+
+  // The autopilot and attract mode only ever drive a solo snake
+  function updateAutopilotButton() {
+    if (!autopilotBtn) return;
+    autopilotBtn.disabled = gameState.players === 2;
+    autopilotBtn.setAttribute('aria-pressed', gameState.autopilot ? 'true' : 'false');
+  }
+
+  // Runs that the autopilot touched at any point stay off the leaderboard
+  function toggleAutopilot() {
+    gameState.autopilot = !gameState.autopilot;
+    if (gameState.autopilot && gameState.running) gameState.assisted = true;
+    if (!gameState.autopilot && !gameState.demo) gameState.plan = null;
+    updateAutopilotButton();
+    draw();
+  }
+
+  function steerAutopilot() {
+    const { game } = gameState;
+    if (game.ate) gameState.trail = [];
+    const plan = SnakeAutopilot.plan(game, gameState.strategy, gameState.trail);
+    gameState.trail.push(game.snake[0]);
+    gameState.plan = plan;
+    if (!plan.dir) return;
+    const { x, y } = SnakeEngine.DIRECTIONS[plan.dir];
+    setDir(x, y);
+  }
+
+  const isIdle = () => !gameState.running && !gameState.replay;
+
+  function cancelAttract() {
+    clearTimeout(gameState.attractTimer);
+    gameState.attractTimer = null;
+  }
+
+  function scheduleAttract(delay = SNAKE_ATTRACT_DELAY) {
+    cancelAttract();
+    if (prefersReducedMotion() || gameState.players === 2) return;
+    gameState.attractTimer = setTimeout(startDemo, delay);
+  }
+
+  function startDemo() {
+    gameState.attractTimer = null;
+    if (!isIdle() || !gameState.inView || document.hidden || prefersReducedMotion() || gameState.players === 2) return;
+    reset();
+    gameState.demo = true;
+    gameState.assisted = true;
+    updateReplayControls();
+    draw();
+  }
+
+  // Any player input ends the demo; attract mode only comes back once the board is idle again
+  function stopDemo() {
+    if (!gameState.demo) return;
+    cancelAttract();
+    stopLoop();
+    gameState.demo = false;
+    gameState.running = false;
+    gameState.paused = false;
+    gameState.plan = null;
+    setBoard(createBoard());
+    updateMeta();
+    updatePauseButton();
+    updateReplayControls();
+    draw();
+  }
+
+  function renderLeaderboard() {
+    if (!leaderboardBody) return;
+    const entries = gameState.leaderboard[gameState.mode];
+    if (!entries.length) {
+      const cell = createEl('td', 'leaderboard-empty', t('lab.leaderboard.empty', 'No scores yet'));
+      cell.colSpan = 6;
+      const row = createEl('tr');
+      row.append(cell);
+      leaderboardBody.replaceChildren(row);
+      return;
+    }
+
+    const dateFormat = getIntl(Intl.DateTimeFormat, { dateStyle: 'short' });
+    const latest = gameState.lastEntry;
+    leaderboardBody.replaceChildren(...entries.map((entry, idx) => {
+      const row = createEl('tr');
+      if (latest && entry.date === latest.date && entry.score === latest.score) {
+        row.classList.add('is-latest');
+      }
+      [
+        idx + 1,
+        entry.initials,
+        entry.score,
+        entry.length,
+        formatRunDuration(entry.duration),
+        entry.date ? dateFormat.format(new Date(entry.date)) : '—'
+      ].forEach((value) => row.append(createEl('td', '', String(value))));
+      return row;
+    }));
+  }
+
+  function setLeaderboardStatus(message) {
+    if (leaderboardStatus) leaderboardStatus.textContent = message;
+  }
+
+  function updateLeaderboard(board) {
+    gameState.leaderboard = board;
+    writeLeaderboard(board);
+    gameState.best = Math.max(
+      getTopScore(board, gameState.mode),
+      gameState.running && !gameState.game.players ? gameState.game.score : 0
+    );
+    updateMeta();
+    renderLeaderboard();
+  }
+
+  function recordRun() {
+    const { game } = gameState;
+    if (!game.score || gameState.assisted) return;
+    const entry = {
+      initials: sanitizeInitials(initialsInput?.value) || '---',
+      score: game.score,
+      length: game.snake.length,
+      duration: gameState.elapsed,
+      date: new Date().toISOString()
+    };
+    gameState.lastEntry = entry;
+    updateLeaderboard(addLeaderboardScore(gameState.leaderboard, gameState.mode, entry));
+  }
+
+  function clearScores() {
+    const mode = t(`lab.modes.${gameState.mode}`, gameState.mode);
+    if (!window.confirm(t('lab.leaderboard.confirmClear', { mode }, `Clear all ${mode} scores?`))) return;
+    gameState.lastEntry = null;
+    updateLeaderboard({ ...gameState.leaderboard, [gameState.mode]: [] });
+    setLeaderboardStatus(t('lab.leaderboard.cleared', { mode }, 'Scores cleared'));
+  }
+
+  async function importScores() {
+    const [file] = importInput.files;
+    if (!file) return;
+    try {
+      const incoming = normalizeLeaderboard(JSON.parse(await file.text()));
+      if (!incoming) throw new Error('Not a snake leaderboard file');
+      const count = Object.values(incoming).reduce((sum, entries) => sum + entries.length, 0);
+      updateLeaderboard(mergeLeaderboards(gameState.leaderboard, incoming));
+      setLeaderboardStatus(t('lab.leaderboard.imported', { count }, `Imported ${count} scores`));
+    } catch (err) {
+      setLeaderboardStatus(t('lab.leaderboard.importError', 'That file is not a valid leaderboard export'));
+    }
+    importInput.value = '';
+  }
+
+  // Inputs are validated against the last queued direction, so quick combos
+  // like up-then-left survive and can never add up to a reversal
+  function setDir(x, y, player = 0) {
+    if (!gameState.running || gameState.paused) return;
+    const { game } = gameState;
+    const queue = gameState.inputQueues[player];
+    if (queue.length >= SNAKE_INPUT_QUEUE_SIZE) return;
+    const last = queue[queue.length - 1] || (game.players ? game.players[player].nextDir : game.nextDir);
+    if ((x === last.x && y === last.y) || (x === -last.x && y === -last.y)) return;
+    queue.push({ x, y });
+  }
+
+  // Player input: ends attract mode instead of steering the demo snake
+  function steer(x, y, player = 0) {
+    if (gameState.demo) {
+      stopDemo();
+      return;
+    }
+    setDir(x, y, player);
+  }
+
+  function applyQueuedTurn() {
+    if (gameState.game.players) {
+      gameState.game = gameState.inputQueues.reduce((game, queue, index) => {
+        const dir = queue.shift();
+        return dir ? SnakeEngine.turnPlayer(game, index, dir) : game;
+      }, gameState.game);
+      return;
+    }
+
+    const dir = gameState.inputQueues[0].shift();
+    if (!dir) return;
+    const previous = gameState.game.nextDir;
+    gameState.game = SnakeEngine.turn(gameState.game, dir);
+    const { nextDir, tick } = gameState.game;
+    if (nextDir.x !== previous.x || nextDir.y !== previous.y) {
+      gameState.recording.turns.push([tick, getDirectionCode(nextDir)]);
+    }
+  }
+
+  function updatePauseButton() {
+    if (!pauseBtn) return;
+    const label = gameState.paused ? t('lab.pad.resume', 'Resume') : t('lab.pad.pause', 'Pause');
+    pauseBtn.textContent = gameState.paused ? '▶' : '⏸';
+    pauseBtn.setAttribute('aria-label', label);
+    pauseBtn.setAttribute('aria-pressed', gameState.paused ? 'true' : 'false');
+    pauseBtn.disabled = !gameState.running;
+  }
+
+  function cancelCountdown() {
+    clearInterval(gameState.countdownTimer);
+    gameState.countdownTimer = null;
+    gameState.countdown = 0;
+  }
+
+  function pause() {
+    if (gameState.demo) {
+      stopDemo();
+      return;
+    }
+    if (!gameState.running) return;
+    cancelCountdown();
+    gameState.paused = true;
+    gameState.inputQueues = [[], []];
+    updatePauseButton();
+    draw();
+  }
+
+  // Resuming counts down first so the player has time to get their bearings
+  function resume() {
+    if (!gameState.running || !gameState.paused || gameState.countdown) return;
+    gameState.countdown = 3;
+    draw();
+    gameState.countdownTimer = setInterval(() => {
+      gameState.countdown -= 1;
+      if (gameState.countdown <= 0) {
+        cancelCountdown();
+        gameState.paused = false;
+        updatePauseButton();
+        startLoop();
+      }
+      draw();
+    }, 400);
+  }
+
+  function togglePause() {
+    if (gameState.paused && !gameState.countdown) resume();
+    else pause();
+  }
+
+  function tick() {
+    if (!gameState.running || gameState.paused) return;
+    if (gameState.game.players) {
+      tickVersus();
+      return;
+    }
+    if ((gameState.autopilot || gameState.demo) && !gameState.inputQueues[0].length) steerAutopilot();
+    applyQueuedTurn();
+    gameState.elapsed += getStepInterval();
+    gameState.previous = gameState.game;
+    const game = SnakeEngine.step(gameState.game);
+    gameState.game = game;
+
+    if (game.ate) {
+      if (!gameState.assisted) gameState.best = Math.max(gameState.best, game.score);
+      updateMeta();
+    }
+
+    if (!game.alive || !game.food) {
+      gameState.running = false;
+      if (!gameState.demo) {
+        gameState.lastReplay = { ...gameState.recording, ticks: game.tick, score: game.score };
+      }
+      stopLoop();
+      updatePauseButton();
+      updateReplayControls();
+      recordRun();
+      scheduleAttract(gameState.demo ? SNAKE_DEMO_RESTART_DELAY : SNAKE_ATTRACT_DELAY);
+    }
+  }
+
+  // Versus rounds are not recorded, replayed or ranked
+  function tickVersus() {
+    applyQueuedTurn();
+    gameState.previous = gameState.game;
+    const game = SnakeEngine.stepVersus(gameState.game);
+    gameState.game = game;
+
+    const ate = game.players.some((player) => player.ate);
+    if (ate) updateMeta();
+    if (game.over) {
+      gameState.running = false;
+      stopLoop();
+      updatePauseButton();
+      updateReplayControls();
+    }
+  }
+
+  function setReplayMessage(getMessage) {
+    gameState.replayMessage = getMessage;
+    renderReplayMessage();
+  }
+
+  function renderReplayMessage() {
+    if (!replayStatus) return;
+    replayStatus.textContent = gameState.replayMessage ? gameState.replayMessage() : '';
+  }
+
+  function updateReplayControls() {
+    const { replay } = gameState;
+    if (replayBtn) replayBtn.disabled = !gameState.lastReplay || (gameState.running && !gameState.demo);
+    if (!replayControls) return;
+    replayControls.hidden = !replay;
+    if (!replay || !replayToggle) return;
+    replayToggle.textContent = replay.playing ? t('lab.replay.pause', 'Pause')
+      : replay.finished ? t('lab.replay.restart', 'Restart')
+      : t('lab.replay.play', 'Play');
+  }
+
+  // autoplay false leaves the replay waiting until the board scrolls into view
+  function startReplay(log, { autoplay = true } = {}) {
+    endReplay();
+    cancelAttract();
+    stopLoop();
+    gameState.demo = false;
+    gameState.plan = null;
+    cancelCountdown();
+    gameState.running = false;
+    gameState.paused = false;
+    setBoard(createSnakeGame(log.mode, log.seed));
+    gameState.replay = {
+      log,
+      turnIndex: 0,
+      playing: autoplay,
+      waiting: !autoplay,
+      finished: false
+    };
+    updateMeta();
+    updatePauseButton();
+    updateReplayControls();
+    startLoop();
+    draw();
+  }
+
+  function replayTick() {
+    const { replay } = gameState;
+    const applied = applyReplayTurns(gameState.game, replay.log.turns, replay.turnIndex);
+    const game = SnakeEngine.step(applied.game);
+    replay.turnIndex = applied.turnIndex;
+    gameState.previous = applied.game;
+    gameState.game = game;
+
+    if (game.ate) updateMeta();
+    if (!game.alive || !game.food || game.tick >= replay.log.ticks) {
+      replay.playing = false;
+      replay.finished = true;
+      updateReplayControls();
+    }
+  }
+
+  function toggleReplay() {
+    const { replay } = gameState;
+    if (!replay) return;
+    if (replay.finished) {
+      startReplay(replay.log);
+      return;
+    }
+    replay.playing = !replay.playing;
+    replay.waiting = false;
+    if (replay.playing) startLoop();
+    else stopLoop();
+    updateReplayControls();
+    draw();
+  }
+
+  function pauseReplay() {
+    if (gameState.replay?.playing) toggleReplay();
+  }
+
+  // Drops replay state without touching the board; callers set up the next game
+  function endReplay() {
+    if (!gameState.replay) return;
+    stopLoop();
+    gameState.replay = null;
+  }
+
+  function exitReplay() {
+    endReplay();
+    setBoard(createBoard());
+    updateMeta();
+    updateReplayControls();
+    draw();
+    scheduleAttract();
+  }
+
+  async function shareReplay() {
+    const log = gameState.replay?.log;
+    if (!log) return;
+    try {
+      await copyToClipboard(buildReplayUrl(log));
+      setReplayMessage(() => t('lab.replay.copied', 'Replay link copied'));
+    } catch (err) {
+      setReplayMessage(() => t('lab.replay.copyFailed', 'Could not copy the link'));
+    }
+  }
+
+  // Background, grid, walls and obstacles only change with the board, the size or
+  // the theme, so they are painted once here and copied onto every frame
+  function getBoardLayer(colors) {
+    const { cell, size, game, dpr } = gameState;
+    const key = [canvas.width, colors.bg, colors.grid, colors.wall, colors.obstacle, game.wrap].join('|');
+    const { layer } = gameState;
+    if (layer && layer.key === key && layer.obstacles === game.obstacles) return layer.canvas;
+
+    const offscreen = layer?.canvas || document.createElement('canvas');
+    offscreen.width = canvas.width;
+    offscreen.height = canvas.height;
+    const layerCtx = offscreen.getContext('2d');
+
+    layerCtx.fillStyle = colors.bg;
+    layerCtx.fillRect(0, 0, offscreen.width, offscreen.height);
+
+    layerCtx.strokeStyle = colors.grid;
+    layerCtx.lineWidth = 1;
+    layerCtx.beginPath();
+    for (let i = 0; i <= size; i++) {
+      layerCtx.moveTo(i * cell + 0.5, 0);
+      layerCtx.lineTo(i * cell + 0.5, size * cell);
+      layerCtx.moveTo(0, i * cell + 0.5);
+      layerCtx.lineTo(size * cell, i * cell + 0.5);
+    }
+    layerCtx.stroke();
+
+    // Lethal edges get a solid border so Walls reads differently from Classic
+    if (!game.wrap) {
+      const inset = 1.5 * dpr;
+      layerCtx.strokeStyle = colors.wall;
+      layerCtx.lineWidth = 3 * dpr;
+      layerCtx.strokeRect(inset, inset, size * cell - inset * 2, size * cell - inset * 2);
+    }
+
+    layerCtx.fillStyle = colors.obstacle;
+    game.obstacles.forEach((block) => {
+      layerCtx.fillRect(block.x * cell + dpr, block.y * cell + dpr, cell - dpr * 2, cell - dpr * 2);
+    });
+
+    gameState.layer = { key, obstacles: game.obstacles, canvas: offscreen };
+    return offscreen;
+  }
+
+  // `alpha` is how far the current step has progressed, for sliding between cells
+  function draw(alpha = 1) {
+    const { cell, game, dpr } = gameState;
+    const colors = getColors();
+
+    ctx.drawImage(getBoardLayer(colors), 0, 0);
+
+    // Food with glow
+    if (game.food) {
+      ctx.shadowColor = colors.food;
+      ctx.shadowBlur = 10 * dpr;
+      ctx.fillStyle = colors.food;
+      ctx.beginPath();
+      ctx.arc(
+        game.food.x * cell + cell / 2, 
+        game.food.y * cell + cell / 2, 
+        cell / 2 - 3 * dpr, 
+        0, 
+        Math.PI * 2
+      );
+      ctx.fill();
+      ctx.shadowBlur = 0;
+    }
+
+    // Planned route, drawn under the snake so the head covers the step it is taking
+    const path = gameState.showPath && (gameState.autopilot || gameState.demo) && gameState.running
+      ? gameState.plan?.path || []
+      : [];
+    ctx.fillStyle = colors.path;
+    path.forEach((step) => {
+      ctx.beginPath();
+      ctx.arc(step.x * cell + cell / 2, step.y * cell + cell / 2, cell / 6, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    // Snakes with gradient; a crashed versus snake stays on the board, faded
+    getSnakeStyles(colors, alpha).forEach(({ cells, body, head, alive }) => {
+      ctx.globalAlpha = alive ? 1 : 0.35;
+      cells.forEach((seg, idx) => {
+        const isHead = idx === 0;
+        ctx.fillStyle = isHead ? head : body;
+        
+        if (isHead) {
+          ctx.shadowColor = head;
+          ctx.shadowBlur = 8 * dpr;
+        }
+        
+        ctx.beginPath();
+        ctx.roundRect(
+          seg.x * cell + 2 * dpr, 
+          seg.y * cell + 2 * dpr, 
+          cell - 4 * dpr, 
+          cell - 4 * dpr, 
+          4 * dpr
+        );
+        ctx.fill();
+        ctx.shadowBlur = 0;
+      });
+      ctx.globalAlpha = 1;
+    });
+
+    const { replay } = gameState;
+    if (gameState.demo && gameState.running) {
+      drawBadge(colors, t('lab.autopilot.demo', 'DEMO'));
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(t('lab.autopilot.demoHint', 'Press Start to play'), canvas.width / 2, canvas.height - 8 * gameState.dpr);
+    } else if (replay) {
+      drawBadge(colors, t('lab.replay.badge', 'REPLAY'));
+
+      if (replay.finished) {
+        drawOverlay(colors, t('lab.replay.finished', 'Replay finished'), t('lab.replay.score', { score: game.score }, `Score: ${game.score}`));
+      } else if (!replay.playing) {
+        drawOverlay(colors, t('lab.paused', 'Paused'), t('lab.resumeHint', 'Press Space or P to resume'));
+      }
+    } else if (!gameState.running && game.players) {
+      drawVersusOverlay(colors);
+    } else if (!gameState.running) {
+      drawOverlay(colors, t('lab.gameOver', 'Game Over - Press Start'));
+    } else if (gameState.countdown) {
+      drawOverlay(colors, String(gameState.countdown), '', 48);
+    } else if (gameState.paused) {
+      drawOverlay(colors, t('lab.paused', 'Paused'), t('lab.resumeHint', 'Press Space or P to resume'));
+    }
+  }
+
+  // Each segment slides from where it stood a step ago; jumps across a wrapped
+  // edge and freshly grown tail segments snap instead
+  function interpolateSnake(cells, previous, alpha) {
+    if (!previous || alpha >= 1) return cells;
+    return cells.map((seg, i) => {
+      const from = previous[i];
+      if (!from || Math.abs(seg.x - from.x) + Math.abs(seg.y - from.y) !== 1) return seg;
+      return { x: from.x + (seg.x - from.x) * alpha, y: from.y + (seg.y - from.y) * alpha };
+    });
+  }
+
+  function getSnakeStyles(colors, alpha = 1) {
+    const { game, previous } = gameState;
+    if (!game.players) {
+      const cells = interpolateSnake(game.snake, previous?.snake, alpha);
+      return [{ cells, body: colors.snake, head: colors.head, alive: true }];
+    }
+    return game.players.map((player, i) => ({
+      cells: interpolateSnake(player.snake, previous?.players?.[i]?.snake, alpha),
+      body: i ? colors.snake2 : colors.snake,
+      head: i ? colors.head2 : colors.head,
+      alive: player.alive
+    }));
+  }
+
+  function drawVersusOverlay(colors) {
+    const { game } = gameState;
+    if (!game.over) {
+      drawOverlay(colors, t('lab.versus.title', 'Versus'), t('lab.versus.controls', 'Player 1: WASD · Player 2: arrow keys'));
+      return;
+    }
+    const [first, second] = game.players;
+    const title = game.winner === null
+      ? t('lab.versus.draw', 'Draw!')
+      : t('lab.versus.wins', { player: game.winner + 1 }, `Player ${game.winner + 1} wins!`);
+    drawOverlay(colors, title, t('lab.versus.score', { first: first.score, second: second.score }, `${first.score} – ${second.score}`));
+  }
+
+  // Pill swatches mirror the canvas colours so players can tell which snake is theirs
+  function updatePlayerSwatches(colors) {
+    $$('.snake-meta [data-player-swatch]').forEach((swatch) => {
+      swatch.style.background = swatch.dataset.playerSwatch === '2' ? colors.head2 : colors.head;
+    });
+  }
+
+  function drawBadge(colors, text) {
+    const { dpr } = gameState;
+    ctx.fillStyle = colors.head;
+    ctx.font = `bold ${12 * dpr}px 'IBM Plex Sans', sans-serif`;
+    ctx.textAlign = 'start';
+    ctx.textBaseline = 'top';
+    ctx.fillText(text, 8 * dpr, 8 * dpr);
+  }
+
+  function drawOverlay(colors, title, subtitle = '', titleSize = 20) {
+    const { dpr } = gameState;
+    const centerX = canvas.width / 2;
+    const centerY = canvas.height / 2;
+    ctx.fillStyle = colors.overlay;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = colors.text;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `bold ${titleSize * dpr}px 'Fraunces', serif`;
+    ctx.fillText(title, centerX, subtitle ? centerY - 12 * dpr : centerY);
+    if (subtitle) {
+      ctx.font = `${14 * dpr}px 'IBM Plex Sans', sans-serif`;
+      ctx.fillText(subtitle, centerX, centerY + 16 * dpr);
+    }
+  }
+
+  function handleKey(e) {
+    if (isEditableTarget(e.target)) return;
+    const key = e.key.toLowerCase();
+    // Space and P only belong to the game while it is on screen, so page scrolling keeps working
+    if ((key === ' ' || key === 'p') && (gameState.running || gameState.replay) && gameState.inView) {
+      e.preventDefault();
+      if (gameState.replay) toggleReplay();
+      else togglePause();
+      return;
+    }
+
+    const binding = SNAKE_KEYS[key];
+    if (!binding) return;
+    e.preventDefault();
+    const [dir, player] = binding;
+    const { x, y } = SnakeEngine.DIRECTIONS[dir];
+    steer(x, y, gameState.game.players ? player : 0);
+  }
+
+  const gamepadInput = { dir: null, start: false, frame: null };
+
+  function readGamepadDirection(pad) {
+    const pressed = (index) => Boolean(pad.buttons[index]?.pressed);
+    const button = ['up', 'down', 'left', 'right'].find((name) => pressed(SNAKE_GAMEPAD_BUTTONS[name]));
+    if (button) return button;
+
+    const [x = 0, y = 0] = pad.axes;
+    if (Math.max(Math.abs(x), Math.abs(y)) < SNAKE_GAMEPAD_DEADZONE) return null;
+    if (Math.abs(x) > Math.abs(y)) return x > 0 ? 'right' : 'left';
+    return y > 0 ? 'down' : 'up';
+  }
+
+  // Gamepads have no input events, so they are polled once per frame while connected
+  function pollGamepad() {
+    const pad = [...(navigator.getGamepads?.() || [])].find(Boolean);
+    if (!pad) {
+      gamepadInput.frame = null;
+      gamepadInput.dir = null;
+      gamepadInput.start = false;
+      return;
+    }
+
+    // Only changes count, so holding a direction queues it once
+    const dir = readGamepadDirection(pad);
+    if (dir && dir !== gamepadInput.dir) {
+      const { x, y } = SnakeEngine.DIRECTIONS[dir];
+      steer(x, y);
+    }
+    gamepadInput.dir = dir;
+
+    const start = Boolean(pad.buttons[SNAKE_GAMEPAD_BUTTONS.start]?.pressed);
+    if (start && !gamepadInput.start && gameState.inView) reset();
+    gamepadInput.start = start;
+
+    gamepadInput.frame = requestAnimationFrame(pollGamepad);
+  }
+
+  let touchStart = null;
+  function handleTouchStart(e) {
+    const touch = e.touches[0];
     touchStart = { x: touch.clientX, y: touch.clientY };
   }
   
@@ -924,44 +3337,653 @@ function initSnakeGame() {
     const absX = Math.abs(dx);
     const absY = Math.abs(dy);
     if (absX < 20 && absY < 20) return;
-    if (absX > absY) setDir(dx > 0 ? 1 : -1, 0);
-    else setDir(0, dy > 0 ? 1 : -1);
+    if (absX > absY) steer(dx > 0 ? 1 : -1, 0);
+    else steer(0, dy > 0 ? 1 : -1);
     touchStart = null;
   }
 
-  startBtn.addEventListener('click', reset);
+  startBtn.addEventListener('click', reset, { signal });
+  if (modeSelect) modeSelect.value = gameState.mode;
+  if (difficultySelect) difficultySelect.value = gameState.difficulty;
+  if (playersSelect) playersSelect.value = String(gameState.players);
+  modeSelect?.addEventListener('change', applySettings, { signal });
+  difficultySelect?.addEventListener('change', applySettings, { signal });
+  playersSelect?.addEventListener('change', applySettings, { signal });
+
+  if (initialsInput) {
+    initialsInput.value = localStorage.getItem(SNAKE_INITIALS_KEY) || '';
+    initialsInput.addEventListener('input', () => {
+      initialsInput.value = sanitizeInitials(initialsInput.value);
+      localStorage.setItem(SNAKE_INITIALS_KEY, initialsInput.value);
+    }, { signal });
+  }
+  $('#snake-clear')?.addEventListener('click', clearScores, { signal });
+  $('#snake-export')?.addEventListener('click', () => exportLeaderboard(gameState.leaderboard), { signal });
+  $('#snake-import-btn')?.addEventListener('click', () => importInput?.click(), { signal });
+  importInput?.addEventListener('change', importScores, { signal });
+
+  replayBtn?.addEventListener('click', () => {
+    if (gameState.lastReplay) startReplay(gameState.lastReplay);
+  }, { signal });
+  replayToggle?.addEventListener('click', toggleReplay, { signal });
+  replaySpeed?.addEventListener('change', () => {
+    gameState.replaySpeed = Number(replaySpeed.value) || 1;
+  }, { signal });
+  $('#replay-share')?.addEventListener('click', shareReplay, { signal });
+  $('#replay-exit')?.addEventListener('click', exitReplay, { signal });
+
+  autopilotBtn?.addEventListener('click', toggleAutopilot, { signal });
+  if (strategySelect) {
+    strategySelect.value = gameState.strategy;
+    strategySelect.addEventListener('change', () => {
+      gameState.strategy = strategySelect.value;
+      saveSettings();
+    }, { signal });
+  }
+  if (showPathInput) {
+    showPathInput.checked = gameState.showPath;
+    showPathInput.addEventListener('change', () => {
+      gameState.showPath = showPathInput.checked;
+      saveSettings();
+      draw();
+    }, { signal });
+  }
   padBtns.forEach((btn) => {
     btn.addEventListener('click', () => {
+      if (btn.dataset.action === 'pause') {
+        togglePause();
+        return;
+      }
       const dir = btn.dataset.dir;
-      if (dir === 'up') setDir(0, -1);
-      if (dir === 'down') setDir(0, 1);
-      if (dir === 'left') setDir(-1, 0);
-      if (dir === 'right') setDir(1, 0);
-    });
+      if (dir === 'up') steer(0, -1);
+      if (dir === 'down') steer(0, 1);
+      if (dir === 'left') steer(-1, 0);
+      if (dir === 'right') steer(1, 0);
+    }, { signal });
   });
   
-  window.addEventListener('keydown', handleKey);
-  canvas.addEventListener('touchstart', handleTouchStart, { passive: true });
-  canvas.addEventListener('touchmove', handleTouchMove, { passive: true });
-  window.addEventListener('resize', debounce(() => { resizeBoard(); draw(); }, 100));
+  window.addEventListener('keydown', handleKey, { signal });
+  window.addEventListener('gamepadconnected', () => {
+    if (!gamepadInput.frame) gamepadInput.frame = requestAnimationFrame(pollGamepad);
+  }, { signal });
+  canvas.addEventListener('touchstart', handleTouchStart, { passive: true, signal });
+  canvas.addEventListener('touchmove', handleTouchMove, { passive: true, signal });
+  window.addEventListener('resize', debounce(() => { resizeBoard(); draw(); }, 100), { signal });
+
+  // Leaving the page or scrolling away pauses play and ends the demo;
+  // coming back to an idle board re-arms attract mode
+  function handleBoardHidden() {
+    stopDemo();
+    cancelAttract();
+    if (gameState.running) pause();
+    pauseReplay();
+  }
+
+  function handleBoardShown() {
+    if (gameState.replay?.waiting) toggleReplay();
+    if (isIdle() && !gameState.attractTimer) scheduleAttract();
+  }
 
   document.addEventListener('visibilitychange', () => {
-    if (document.hidden && gameState.running) {
-      // Pause when tab is hidden
+    if (document.hidden) handleBoardHidden();
+    else if (gameState.inView) handleBoardShown();
+  }, { signal });
+
+  // Attract mode is decorative motion, so it follows the preference live
+  on(EVENTS.MOTION_CHANGE, ({ reduced }) => {
+    if (reduced) {
+      stopDemo();
+      cancelAttract();
+    } else if (isIdle()) {
+      scheduleAttract();
     }
   });
 
+  if ('IntersectionObserver' in window) {
+    const boardObserver = new IntersectionObserver(([entry]) => {
+      gameState.inView = entry.isIntersecting;
+      if (entry.isIntersecting) handleBoardShown();
+      else handleBoardHidden();
+    }, { threshold: 0.25 });
+    boardObserver.observe(canvas);
+    cleanup(() => boardObserver.disconnect());
+  }
+
   resizeBoard();
-  bestEl.textContent = gameState.best;
+  watchPixelRatio();
+  updateMeta();
+  updatePauseButton();
+  updateAutopilotButton();
+  updatePlayerSwatches(getColors());
+  renderLeaderboard();
   draw();
-  snakeRedraw = draw;
+
+  const sharedReplay = getUrlReplay();
+  if (sharedReplay !== null) {
+    const log = decodeReplay(sharedReplay);
+    if (log) {
+      gameState.lastReplay = log;
+      startReplay(log, { autoplay: false });
+    } else {
+      setReplayMessage(() => t('lab.replay.invalid', 'This replay link is invalid or has been tampered with'));
+    }
+    updateReplayControls();
+    scrollToElement(canvas.closest('section') || canvas);
+  } else {
+    scheduleAttract();
+  }
+
+  on(EVENTS.THEME_CHANGE, () => {
+    colors = readColors();
+    updatePlayerSwatches(colors);
+    draw();
+  });
+  on(EVENTS.LANG_CHANGE, () => {
+    updatePauseButton();
+    updateReplayControls();
+    renderReplayMessage();
+    renderLeaderboard();
+    draw();
+  });
+
+  cleanup(() => {
+    stopLoop();
+    cancelAttract();
+    cancelCountdown();
+    cancelAnimationFrame(gamepadInput.frame);
+  });
+}
+
+// ============================================
+// SNAKE LEADERBOARD
+// ============================================
+
+const SNAKE_LEADERBOARD_KEY = 'snake-leaderboard';
+const SNAKE_LEADERBOARD_SIZE = 10;
+const SNAKE_LEADERBOARD_VERSION = 1;
+const SNAKE_INITIALS_KEY = 'snake-initials';
+
+const emptyLeaderboard = () =>
+  Object.fromEntries(Object.keys(SNAKE_MODES).map((mode) => [mode, []]));
+
+const sanitizeInitials = (value) =>
+  String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+
+const getTopScore = (board, mode) => board[mode]?.[0]?.score || 0;
+
+function formatRunDuration(ms) {
+  if (ms === null) return '—';
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Entries come from storage or a user-supplied file, so every field is checked
+function normalizeScore(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const score = Number(raw.score);
+  if (!Number.isInteger(score) || score < 0) return null;
+  const date = typeof raw.date === 'string' && !Number.isNaN(Date.parse(raw.date))
+    ? new Date(raw.date).toISOString()
+    : null;
+  return {
+    initials: sanitizeInitials(raw.initials) || '---',
+    score,
+    length: Number.isInteger(raw.length) && raw.length > 0 ? raw.length : score + 3,
+    duration: Number.isFinite(raw.duration) && raw.duration >= 0 ? Math.round(raw.duration) : null,
+    date
+  };
+}
+
+// Highest score first; ties go to the quicker run, then the earlier one
+function rankScores(entries) {
+  const seen = new Set();
+  return entries
+    .map(normalizeScore)
+    .filter((entry) => {
+      const id = JSON.stringify(entry);
+      if (!entry || seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .sort((a, b) => b.score - a.score
+      || (a.duration ?? Infinity) - (b.duration ?? Infinity)
+      || String(a.date).localeCompare(String(b.date)))
+    .slice(0, SNAKE_LEADERBOARD_SIZE);
+}
+
+/** Returns a board with one ranked list per known mode, or null if `data` has no modes. */
+function normalizeLeaderboard(data) {
+  const modes = data && typeof data === 'object' ? data.modes : null;
+  if (!modes || typeof modes !== 'object' || Array.isArray(modes)) return null;
+  const board = emptyLeaderboard();
+  Object.keys(board).forEach((mode) => {
+    if (Array.isArray(modes[mode])) board[mode] = rankScores(modes[mode]);
+  });
+  return board;
+}
+
+function mergeLeaderboards(board, incoming) {
+  return Object.fromEntries(Object.keys(board).map((mode) => 
+    [mode, rankScores([...board[mode], ...(incoming[mode] || [])])]
+  ));
+}
+
+function addLeaderboardScore(board, mode, entry) {
+  return { ...board, [mode]: rankScores([...board[mode], entry]) };
+}
+
+// Bests saved before the leaderboard existed become anonymous entries
+function migrateSnakeBest() {
+  const board = emptyLeaderboard();
+  Object.keys(board).forEach((mode) => {
+    const key = mode === 'classic' ? 'snake-best' : `snake-best-${mode}`;
+    const best = parseInt(localStorage.getItem(key) || '0', 10);
+    if (best > 0) board[mode] = rankScores([{ score: best }]);
+    localStorage.removeItem(key);
+  });
+  return board;
+}
+
+function writeLeaderboard(board) {
+  try {
+    localStorage.setItem(SNAKE_LEADERBOARD_KEY, JSON.stringify({
+      version: SNAKE_LEADERBOARD_VERSION,
+      modes: board
+    }));
+  } catch (err) {
+    // Storage full or disabled: scores only last for this visit
+  }
+}
+
+function readLeaderboard() {
+  try {
+    const stored = localStorage.getItem(SNAKE_LEADERBOARD_KEY);
+    if (stored) return normalizeLeaderboard(JSON.parse(stored)) || emptyLeaderboard();
+  } catch (err) {
+    return emptyLeaderboard();
+  }
+  const migrated = migrateSnakeBest();
+  writeLeaderboard(migrated);
+  return migrated;
+}
+
+function exportLeaderboard(board) {
+  const payload = {
+    version: SNAKE_LEADERBOARD_VERSION,
+    exportedAt: new Date().toISOString(),
+    modes: board
+  };
+  downloadFile('snake-leaderboard.json', `${JSON.stringify(payload, null, 2)}\n`, 'application/json');
+}
+
+// ============================================
+// SNAKE REPLAY
+// ============================================
+
+const SNAKE_REPLAY_VERSION = '1';
+const SNAKE_REPLAY_PARAM = 'replay';
+const SNAKE_REPLAY_MAX_TICKS = 200000;
+
+const DIRECTION_CODES = { U: 'up', D: 'down', L: 'left', R: 'right' };
+
+const getDirectionCode = (dir) => Object.keys(DIRECTION_CODES).find((code) => {
+  const candidate = SnakeEngine.DIRECTIONS[DIRECTION_CODES[code]];
+  return candidate.x === dir.x && candidate.y === dir.y;
+});
+
+/**
+ * Replays are encoded as "version.mode.difficulty.seed.ticks.score.turns":
+ * numbers in base 36, each turn a tick delta followed by U/D/L/R ("4U3L").
+ */
+function encodeReplay(log) {
+  let lastTick = 0;
+  const turns = log.turns.map(([tick, code]) => {
+    const delta = tick - lastTick;
+    lastTick = tick;
+    return `${delta.toString(36)}${code}`;
+  }).join('');
+  return [
+    SNAKE_REPLAY_VERSION,
+    log.mode,
+    log.difficulty,
+    log.seed.toString(36),
+    log.ticks.toString(36),
+    log.score.toString(36),
+    turns
+  ].join('.');
+}
+
+function parseReplay(code) {
+  const parts = String(code).split('.');
+  if (parts.length !== 7) return null;
+  const [version, mode, difficulty, seed, ticks, score, turns] = parts;
+  if (version !== SNAKE_REPLAY_VERSION || !SNAKE_MODES[mode] || !SNAKE_DIFFICULTIES[difficulty]) return null;
+  if (![seed, ticks, score].every((value) => /^[0-9a-z]{1,7}$/.test(value))) return null;
+  if (!/^([0-9a-z]{1,4}[UDLR])*$/.test(turns)) return null;
+
+  const log = {
+    mode,
+    difficulty,
+    seed: parseInt(seed, 36),
+    ticks: parseInt(ticks, 36),
+    score: parseInt(score, 36),
+    turns: []
+  };
+  if (log.seed > 0xFFFFFFFF || log.ticks > SNAKE_REPLAY_MAX_TICKS) return null;
+
+  let tick = 0;
+  for (const [, delta, dir] of turns.matchAll(/([0-9a-z]+)([UDLR])/g)) {
+    tick += parseInt(delta, 36);
+    log.turns.push([tick, dir]);
+  }
+  return log;
+}
+
+/** Applies every logged turn due at the game's current tick. */
+function applyReplayTurns(game, turns, turnIndex) {
+  let next = game;
+  let index = turnIndex;
+  while (index < turns.length && turns[index][0] === next.tick) {
+    next = SnakeEngine.turn(next, SnakeEngine.DIRECTIONS[DIRECTION_CODES[turns[index][1]]]);
+    index += 1;
+  }
+  return { game: next, turnIndex: index };
+}
+
+// Re-simulates the whole run, so an edited score or turn list is caught as well as bad syntax
+function verifyReplay(log) {
+  let game = createSnakeGame(log.mode, log.seed);
+  let turnIndex = 0;
+  while (game.alive && game.food && game.tick < log.ticks) {
+    const applied = applyReplayTurns(game, log.turns, turnIndex);
+    turnIndex = applied.turnIndex;
+    game = SnakeEngine.step(applied.game);
+  }
+  return game.tick === log.ticks
+    && (!game.alive || !game.food)
+    && game.score === log.score
+    && turnIndex === log.turns.length;
+}
+
+function decodeReplay(code) {
+  const log = parseReplay(code);
+  return log && verifyReplay(log) ? log : null;
+}
+
+function getUrlReplay() {
+  const match = window.location.hash.match(new RegExp(`^#${SNAKE_REPLAY_PARAM}=(.*)$`));
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (err) {
+    return '';
+  }
+}
+
+function buildReplayUrl(log) {
+  const url = new URL(window.location.href);
+  url.hash = `${SNAKE_REPLAY_PARAM}=${encodeReplay(log)}`;
+  return url.href;
+}
+
+// ============================================
+// SITE SEARCH
+// ============================================
+
+const SEARCH_SCOPES = ['about.chip', 'education.', 'teaching.', 'work.'];
+const SEARCH_TARGETS = '.timeline__item, .card:not(.role-card), .project-card, .chip, .stack li';
+const SEARCH_MAX_RESULTS = 8;
+const SEARCH_SNIPPET_LENGTH = 110;
+
+let searchIndex = [];
+
+// Case- and accent-insensitive copy of the text that keeps every index aligned
+const foldText = (text) => 
+  text.split('').map((ch) => ch.normalize('NFD')[0].toLowerCase()[0]).join('');
+
+function flattenTranslations(source, prefix = '') {
+  return Object.entries(source).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return value && typeof value === 'object' ? flattenTranslations(value, path) : [[path, value]];
+  });
+}
+
+function createSearchEntry(title, texts, section, resolve) {
+  const body = texts.filter((text) => text && text !== title).join(' · ');
+  return {
+    title,
+    body,
+    section,
+    resolve,
+    foldedTitle: foldText(title),
+    foldedBody: foldText(body)
+  };
+}
+
+function buildSearchIndex() {
+  const groups = new Map();
+
+  flattenTranslations(state.translations)
+    .filter(([key, value]) => typeof value === 'string' && SEARCH_SCOPES.some((scope) => key.startsWith(scope)))
+    .forEach(([key, value]) => {
+      $$(`[data-i18n="${key}"]`).forEach((el) => {
+        const container = el.closest(SEARCH_TARGETS);
+        if (!container) return;
+        if (!groups.has(container)) {
+          groups.set(container, { scope: key.split('.')[0], texts: [] });
+        }
+        groups.get(container).texts.push(value);
+      });
+    });
+
+  searchIndex = [...groups].map(([container, { scope, texts }]) => {
+    const heading = container.querySelector('h3, strong');
+    const title = (heading || container).textContent.trim();
+    return createSearchEntry(title, texts, t(`${scope}.label`), () => container);
+  });
+
+  state.publications.forEach((pub) => {
+    searchIndex.push(createSearchEntry(
+      pub.title,
+      [formatPublicationMeta(pub)],
+      t('publications.label'),
+      () => revealPublication(pub.id)
+    ));
+  });
+
+  Object.entries(state.collections).forEach(([collection, items]) => {
+    items.forEach((item) => {
+      searchIndex.push(createSearchEntry(
+        localize(item.name),
+        [item.label, item.role, item.body].map(localize),
+        t(`${collection}.label`),
+        () => revealCollectionItem(collection, item.id)
+      ));
+    });
+  });
+}
+
+function revealPublication(id) {
+  const selector = `[data-publication="${id}"]`;
+  if (!$(selector)) {
+    state.publicationFilters.status = 'all';
+    state.publicationFilters.venue = 'all';
+    ['#publications-status', '#publications-venue'].forEach((sel) => {
+      const select = $(sel);
+      if (select) select.value = 'all';
+    });
+    renderPublications();
+  }
+  return $(selector);
+}
+
+function scoreSearchEntry(entry, terms) {
+  let score = 0;
+  for (const term of terms) {
+    const inTitle = entry.foldedTitle.includes(term);
+    if (!inTitle && !entry.foldedBody.includes(term)) return 0;
+    const wordStart = new RegExp(`(^|[^a-z0-9])${escapeRegExp(term)}`);
+    score += inTitle ? 3 : 1;
+    if (wordStart.test(entry.foldedTitle) || wordStart.test(entry.foldedBody)) score += 1;
+  }
+  return score;
+}
+
+function searchSite(query) {
+  const terms = foldText(query).split(/\s+/).filter(Boolean);
+  if (!terms.length) return { terms, matches: [] };
+
+  const matches = searchIndex
+    .map((entry) => ({ entry, score: scoreSearchEntry(entry, terms) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, SEARCH_MAX_RESULTS)
+    .map(({ entry }) => entry);
+  return { terms, matches };
+}
+
+function highlightMatches(text, terms) {
+  const folded = foldText(text);
+  const ranges = [];
+  terms.forEach((term) => {
+    let from = folded.indexOf(term);
+    while (from !== -1) {
+      ranges.push([from, from + term.length]);
+      from = folded.indexOf(term, from + term.length);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  const fragment = document.createDocumentFragment();
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (end <= cursor) return;
+    const from = Math.max(start, cursor);
+    fragment.append(text.slice(cursor, from), createEl('mark', '', text.slice(from, end)));
+    cursor = end;
+  });
+  fragment.append(text.slice(cursor));
+  return fragment;
+}
+
+function getSnippet(text, terms) {
+  if (text.length <= SEARCH_SNIPPET_LENGTH) return text;
+  const folded = foldText(text);
+  const first = Math.min(...terms.map((term) => folded.indexOf(term)).filter((i) => i >= 0));
+  const start = Number.isFinite(first) ? Math.max(0, first - 30) : 0;
+  const end = Math.min(text.length, start + SEARCH_SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+function createSearchResult(entry, index, terms) {
+  const option = createEl('li', 'search-result');
+  option.id = `search-result-${index}`;
+  option.dataset.index = index;
+  option.setAttribute('role', 'option');
+  option.setAttribute('aria-selected', 'false');
+
+  const title = createEl('span', 'search-result__title');
+  title.append(highlightMatches(entry.title, terms));
+  option.append(createEl('span', 'search-result__section', entry.section), title);
+
+  if (entry.body) {
+    const snippet = createEl('span', 'search-result__snippet');
+    snippet.append(highlightMatches(getSnippet(entry.body, terms), terms));
+    option.append(snippet);
+  }
+  return option;
+}
+
+function initSearch({ signal, on }) {
+  const input = $('#site-search');
+  const results = $('#search-results');
+  const status = $('#search-status');
+  if (!input || !results) return;
+
+  let matches = [];
+  let active = -1;
+
+  function setActive(i) {
+    const options = results.querySelectorAll('[role="option"]');
+    if (!options.length) return;
+    active = (i + options.length) % options.length;
+    options.forEach((option, idx) => {
+      option.setAttribute('aria-selected', idx === active ? 'true' : 'false');
+    });
+    input.setAttribute('aria-activedescendant', options[active].id);
+    options[active].scrollIntoView({ block: 'nearest' });
+  }
+
+  function close() {
+    results.hidden = true;
+    active = -1;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  function render() {
+    const query = input.value.trim();
+    const search = searchSite(query);
+    matches = search.matches;
+    active = -1;
+    input.removeAttribute('aria-activedescendant');
+
+    results.replaceChildren(...matches.map((entry, i) => createSearchResult(entry, i, search.terms)));
+    if (query && !matches.length) {
+      results.append(createEl('li', 'search-empty', t('search.empty', 'No results')));
+    }
+
+    results.hidden = !query;
+    input.setAttribute('aria-expanded', query ? 'true' : 'false');
+    if (status) {
+      status.textContent = query ? t('search.results', { count: matches.length }) : '';
+    }
+  }
+
+  function select(i) {
+    const entry = matches[i];
+    if (!entry) return;
+    const target = entry.resolve();
+    close();
+    input.blur();
+    if (!target) return;
+    scrollToElement(target);
+    target.classList.add('search-hit');
+    setTimeout(() => target.classList.remove('search-hit'), 1600);
+  }
+
+  input.addEventListener('input', debounce(render, 80), { signal });
+  input.addEventListener('focus', () => { if (input.value.trim()) render(); }, { signal });
+  input.addEventListener('blur', close, { signal });
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown') { e.preventDefault(); setActive(active + 1); }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); setActive(active - 1); }
+    else if (e.key === 'Enter') { e.preventDefault(); select(active >= 0 ? active : 0); }
+    else if (e.key === 'Escape') {
+      input.value = '';
+      close();
+      input.blur();
+    }
+  }, { signal });
+
+  // Keep focus in the input so the blur handler doesn't close the list mid-click
+  results.addEventListener('mousedown', (e) => e.preventDefault(), { signal });
+  results.addEventListener('click', (e) => {
+    const option = e.target.closest('[role="option"]');
+    if (option) select(Number(option.dataset.index));
+  }, { signal });
+
+  // The index holds translated text, so it is rebuilt for every language
+  on(EVENTS.LANG_CHANGE, buildSearchIndex);
+  buildSearchIndex();
 }
 
 // ============================================
 // KEYBOARD NAVIGATION
 // ============================================
 
-function initKeyboardNav() {
+function initKeyboardNav({ signal }) {
   document.addEventListener('keydown', (e) => {
     // Escape closes mobile nav
     if (e.key === 'Escape' && elements.nav?.classList.contains('nav-open')) {
@@ -969,22 +3991,22 @@ function initKeyboardNav() {
       elements.nav.classList.remove('nav-open');
     }
     
-    // Slash focuses search (if implemented)
-    if (e.key === '/' && !e.ctrlKey && !e.metaKey) {
+    // Slash focuses search, unless the visitor is already typing somewhere
+    if (e.key === '/' && !e.ctrlKey && !e.metaKey && !isEditableTarget(e.target)) {
       const searchInput = $('input[type="search"]');
       if (searchInput) {
         e.preventDefault();
         searchInput.focus();
       }
     }
-  });
+  }, { signal });
 }
 
 // ============================================
 // PERFORMANCE OPTIMIZATIONS
 // ============================================
 
-function initPerformanceOptimizations() {
+function initPerformanceOptimizations({ signal, cleanup }) {
   // Lazy load images
   const lazyImages = $$('img[loading="lazy"]');
   if ('IntersectionObserver' in window) {
@@ -1001,6 +4023,7 @@ function initPerformanceOptimizations() {
     });
     
     lazyImages.forEach((img) => imageObserver.observe(img));
+    cleanup(() => imageObserver.disconnect());
   }
   
   // Pause animations when tab is hidden
@@ -1010,52 +4033,68 @@ function initPerformanceOptimizations() {
     } else {
       document.body.classList.remove('paused');
     }
-  });
+  }, { signal });
 }
 
 // ============================================
 // INITIALIZATION
 // ============================================
 
+// Mounted in this order; the names are what data-disable-components refers to
+
+// Core functionality
+defineComponent('theme', initTheme);
+defineComponent('motion', initMotion);
+defineComponent('i18n', initI18n);
+defineComponent('routing', initRouting);
+defineComponent('preloader', initPreloader);
+
+// Visual effects
+defineComponent('particles', initParticles);
+defineComponent('cursor', initCursor);
+defineComponent('scroll-progress', initScrollProgress);
+defineComponent('animations', initAnimations);
+
+// Navigation
+defineComponent('nav-scroll', initNavScroll);
+defineComponent('active-nav', initActiveNavLink);
+defineComponent('mobile-nav', initMobileNav);
+defineComponent('theme-switch', initThemeSwitch);
+defineComponent('motion-toggle', initMotionToggle);
+defineComponent('smooth-scroll', initSmoothScroll);
+defineComponent('search', initSearch);
+defineComponent('keyboard-nav', initKeyboardNav);
+
+// Interactions
+defineComponent('tilt', initTiltEffect);
+defineComponent('ripple', initRippleEffect);
+defineComponent('magnetic', initMagneticButtons);
+
+// Sections
+defineComponent('publications', initPublications);
+defineComponent('citations', initCitations);
+defineComponent('projects', (scope) => initCarousel(scope, {
+  selector: '.project-carousel',
+  track: '.project-track',
+  card: '.project-card',
+  collection: 'projects',
+  render: (items) => items.map(createProjectCard)
+}));
+defineComponent('previews', initProjectPreviews);
+defineComponent('roles', (scope) => initCarousel(scope, {
+  selector: '.roles-carousel',
+  track: '.roles-track',
+  card: '.role-card',
+  collection: 'roles',
+  render: createRoleCards
+}));
+defineComponent('snake', initSnakeGame);
+
+// Performance
+defineComponent('performance', initPerformanceOptimizations);
+
 function init() {
-  // Core functionality
-  initTheme();
-  initI18n();
-  initPreloader();
-  
-  // Visual effects
-  initParticles();
-  initCursor();
-  initScrollProgress();
-  initAnimations();
-  
-  // Navigation
-  initNavScroll();
-  initActiveNavLink();
-  initMobileNav();
-  initThemeToggle();
-  initSmoothScroll();
-  initKeyboardNav();
-  
-  // Interactions
-  initTiltEffect();
-  initRippleEffect();
-  initMagneticButtons();
-  
-  // Components
-  initCarousel('.project-carousel', '.project-track', '.project-card');
-  initCarousel('.roles-carousel', '.roles-track', '.role-card');
-  initSnakeGame();
-  
-  // Performance
-  initPerformanceOptimizations();
-  
-  // Handle resize
-  window.addEventListener('resize', debounce(() => {
-    resizeCanvas();
-    createParticles();
-  }, 200));
-  
+  mountComponents();
   console.log('🚀 Portfolio initialized successfully!');
 }
 
@@ -0,0 +1,275 @@
+/* ============================================
+   SNAKE AUTOPILOT - PATH PLANNING
+   ============================================
+   Reads a SnakeEngine state and decides where to go next without changing
+   it. plan() returns the direction to queue and the cells the planner
+   intends to visit, which the game can draw as an overlay. Loaded in the
+   browser as the `SnakeAutopilot` global (after snake-engine.js) and in
+   Node via require('./snake-autopilot.js').
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./snake-engine.js'));
+  } else {
+    root.SnakeAutopilot = factory(root.SnakeEngine);
+  }
+})(typeof self !== 'undefined' ? self : this, (SnakeEngine) => {
+  'use strict';
+
+  const STRATEGIES = Object.freeze(['greedy', 'astar', 'hamiltonian']);
+
+  const MOVES = Object.entries(SnakeEngine.DIRECTIONS);
+
+  const NO_PLAN = Object.freeze({ dir: null, path: [] });
+
+  // ============================================
+  // GRID HELPERS
+  // ============================================
+
+  const keyOf = (cell, size) => cell.y * size + cell.x;
+
+  const samePoint = (a, b) => Boolean(a && b) && a.x === b.x && a.y === b.y;
+
+  function neighbour(state, cell, dir) {
+    const x = cell.x + dir.x;
+    const y = cell.y + dir.y;
+    if (state.wrap) {
+      return { x: (x + state.size) % state.size, y: (y + state.size) % state.size };
+    }
+    if (x < 0 || y < 0 || x >= state.size || y >= state.size) return null;
+    return { x, y };
+  }
+
+  function distance(state, a, b) {
+    let dx = Math.abs(a.x - b.x);
+    let dy = Math.abs(a.y - b.y);
+    if (state.wrap) {
+      dx = Math.min(dx, state.size - dx);
+      dy = Math.min(dy, state.size - dy);
+    }
+    return dx + dy;
+  }
+
+  function directionTo(state, from, to) {
+    const move = MOVES.find(([, dir]) => samePoint(neighbour(state, from, dir), to));
+    return move ? move[0] : null;
+  }
+
+  // Obstacles always block; the tail does not, since it moves out of the way
+  function createBlocked(state, snake = state.snake) {
+    const blocked = new Set(state.obstacles.map((cell) => keyOf(cell, state.size)));
+    snake.slice(0, -1).forEach((cell) => blocked.add(keyOf(cell, state.size)));
+    return blocked;
+  }
+
+  function safeMoves(state) {
+    const blocked = createBlocked(state);
+    return MOVES
+      .map(([name, dir]) => ({ name, cell: neighbour(state, state.snake[0], dir) }))
+      .filter(({ cell }) => cell && !blocked.has(keyOf(cell, state.size)));
+  }
+
+  function floodFill(state, start, blocked) {
+    const seen = new Set([keyOf(start, state.size)]);
+    const queue = [start];
+    while (queue.length) {
+      const cell = queue.shift();
+      MOVES.forEach(([, dir]) => {
+        const next = neighbour(state, cell, dir);
+        if (!next) return;
+        const key = keyOf(next, state.size);
+        if (seen.has(key) || blocked.has(key)) return;
+        seen.add(key);
+        queue.push(next);
+      });
+    }
+    return seen.size;
+  }
+
+  // ============================================
+  // SEARCH
+  // ============================================
+
+  /** A* from `from` to `to`; returns the cells after `from` up to and including `to`, or null. */
+  function findPath(state, from, to, blocked) {
+    const { size } = state;
+    const start = keyOf(from, size);
+    const goal = keyOf(to, size);
+    const cost = new Map([[start, 0]]);
+    const cameFrom = new Map();
+    const cells = new Map([[start, from]]);
+    const open = [{ key: start, cell: from, f: distance(state, from, to) }];
+
+    while (open.length) {
+      // A few hundred cells at most, so a linear scan is cheaper than a heap
+      let best = 0;
+      for (let i = 1; i < open.length; i++) {
+        if (open[i].f < open[best].f) best = i;
+      }
+      const [current] = open.splice(best, 1);
+      if (current.key === goal) return rebuildPath(cameFrom, cells, goal);
+
+      MOVES.forEach(([, dir]) => {
+        const next = neighbour(state, current.cell, dir);
+        if (!next) return;
+        const key = keyOf(next, size);
+        if (blocked.has(key) && key !== goal) return;
+        const g = cost.get(current.key) + 1;
+        if (g >= (cost.get(key) ?? Infinity)) return;
+        cost.set(key, g);
+        cameFrom.set(key, current.key);
+        cells.set(key, next);
+        open.push({ key, cell: next, f: g + distance(state, next, to) });
+      });
+    }
+    return null;
+  }
+
+  function rebuildPath(cameFrom, cells, goal) {
+    const path = [];
+    for (let key = goal; cameFrom.has(key); key = cameFrom.get(key)) {
+      path.unshift(cells.get(key));
+    }
+    return path;
+  }
+
+  // Tail safety: after walking `path` the head must still be able to reach the tail,
+  // otherwise the snake has sealed itself into a pocket
+  function keepsTailReachable(state, path) {
+    const grows = path.some((cell) => samePoint(cell, state.food));
+    const length = state.snake.length + (grows ? 1 : 0);
+    const snake = [...path.slice().reverse(), ...state.snake].slice(0, length);
+    const future = { ...state, snake };
+    return Boolean(findPath(future, snake[0], snake[snake.length - 1], createBlocked(future)));
+  }
+
+  // ============================================
+  // HAMILTONIAN CYCLE
+  // ============================================
+
+  const cycles = new Map();
+
+  // Boustrophedon over columns 1..n-1, returning up column 0; needs an even board
+  function getCycle(size) {
+    if (size % 2) return null;
+    if (!cycles.has(size)) {
+      const order = [];
+      for (let y = 0; y < size; y++) {
+        const row = Array.from({ length: size - 1 }, (_, i) => ({ x: i + 1, y }));
+        order.push(...(y % 2 ? row.reverse() : row));
+      }
+      for (let y = size - 1; y >= 0; y--) order.push({ x: 0, y });
+
+      const index = new Array(size * size);
+      order.forEach((cell, i) => { index[keyOf(cell, size)] = i; });
+      cycles.set(size, { order, index });
+    }
+    return cycles.get(size);
+  }
+
+  function planHamiltonian(state) {
+    const cycle = state.obstacles.length ? null : getCycle(state.size);
+    if (!cycle) return null;
+
+    const { order, index } = cycle;
+    const head = state.snake[0];
+    const position = index[keyOf(head, state.size)];
+    const blocked = createBlocked(state);
+
+    // The cycle can be walked either way; the free neighbour decides, and once the
+    // body lies along the cycle the other way is always the neck
+    for (const step of [1, -1]) {
+      const next = order[(position + step + order.length) % order.length];
+      if (blocked.has(keyOf(next, state.size))) continue;
+
+      const path = [];
+      for (let i = 1; i < order.length; i++) {
+        const cell = order[(position + step * i + order.length) % order.length];
+        path.push(cell);
+        if (samePoint(cell, state.food)) break;
+      }
+      return { dir: directionTo(state, head, next), path };
+    }
+    return null;
+  }
+
+  // ============================================
+  // STRATEGIES
+  // ============================================
+
+  // Last resort: the move with the most open space around it
+  function planSurvival(state) {
+    const blocked = createBlocked(state);
+    const options = safeMoves(state).map((move) => ({
+      ...move,
+      room: floodFill(state, move.cell, blocked),
+      gap: state.food ? distance(state, move.cell, state.food) : 0
+    }));
+    if (!options.length) return NO_PLAN;
+    options.sort((a, b) => b.room - a.room || a.gap - b.gap);
+    return { dir: options[0].name, path: [options[0].cell] };
+  }
+
+  // The tail always moves on, so following it buys time until the food is reachable
+  function planTailChase(state) {
+    const head = state.snake[0];
+    const path = findPath(state, head, state.snake[state.snake.length - 1], createBlocked(state));
+    return path ? { dir: directionTo(state, head, path[0]), path } : null;
+  }
+
+  function planGreedy(state) {
+    const moves = safeMoves(state);
+    if (!state.food || !moves.length) return planSurvival(state);
+    const current = directionTo(state, state.snake[0], neighbour(state, state.snake[0], state.nextDir));
+    moves.sort((a, b) =>
+      distance(state, a.cell, state.food) - distance(state, b.cell, state.food)
+      || (b.name === current) - (a.name === current)
+    );
+    return { dir: moves[0].name, path: [moves[0].cell] };
+  }
+
+  // Greedy keeps no memory, so walls between head and food can trap it in a loop.
+  // A head cell seen twice since the last meal means it has closed one
+  function isLooping(state, trail) {
+    const seen = new Set();
+    return [...trail, state.snake[0]].some((cell) => {
+      const key = keyOf(cell, state.size);
+      if (seen.has(key)) return true;
+      seen.add(key);
+      return false;
+    });
+  }
+
+  function planAStar(state) {
+    const head = state.snake[0];
+    const path = state.food && findPath(state, head, state.food, createBlocked(state));
+    if (path && keepsTailReachable(state, path)) {
+      return { dir: directionTo(state, head, path[0]), path };
+    }
+
+    const cycle = planHamiltonian(state);
+    if (cycle && keepsTailReachable(state, cycle.path.slice(0, 1))) return cycle;
+    return planTailChase(state) || planSurvival(state);
+  }
+
+  /**
+   * Returns `{ dir, path }`: a DIRECTIONS key (null when trapped) and the planned cells.
+   * `trail` lists the head cells visited since the food last moved; greedy hands over
+   * to A* once it repeats one.
+   */
+  function plan(state, strategy = 'astar', trail = []) {
+    if (!state.alive) return NO_PLAN;
+    if (strategy === 'greedy') return isLooping(state, trail) ? planAStar(state) : planGreedy(state);
+    // Obstacles rule out the cycle, so maze boards get the searching planner instead
+    if (strategy === 'hamiltonian') return planHamiltonian(state) || planAStar(state);
+    return planAStar(state);
+  }
+
+  return {
+    STRATEGIES,
+    findPath,
+    getCycle,
+    plan
+  };
+});
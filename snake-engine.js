@@ -0,0 +1,305 @@
+/* ============================================
+   SNAKE ENGINE - PURE GAME RULES
+   ============================================
+   Headless and deterministic: every function takes a state and returns
+   a new one, randomness comes from a seeded PRNG carried in the state.
+   Loaded in the browser as the `SnakeEngine` global and in Node via
+   require('./snake-engine.js').
+*/
+
+(function (root, factory) {
+  const engine = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = engine;
+  } else {
+    root.SnakeEngine = engine;
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  const DEFAULT_SIZE = 18;
+
+  const DIRECTIONS = Object.freeze({
+    up: Object.freeze({ x: 0, y: -1 }),
+    down: Object.freeze({ x: 0, y: 1 }),
+    left: Object.freeze({ x: -1, y: 0 }),
+    right: Object.freeze({ x: 1, y: 0 })
+  });
+
+  // ============================================
+  // SEEDED RANDOM (mulberry32)
+  // ============================================
+
+  const normalizeSeed = (seed) => (Number(seed) >>> 0);
+
+  /** Returns the next random value in [0, 1) and the advanced generator state. */
+  function nextRandom(rng) {
+    const next = (rng + 0x6D2B79F5) >>> 0;
+    let t = next;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, rng: next };
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  const samePoint = (a, b) => a.x === b.x && a.y === b.y;
+
+  const isReverse = (a, b) => a.x === -b.x && a.y === -b.y;
+
+  const occupies = (cells, point) => cells.some((cell) => samePoint(cell, point));
+
+  const isOutside = (point, size) =>
+    point.x < 0 || point.y < 0 || point.x >= size || point.y >= size;
+
+  /** Expands inclusive [x1, y1, x2, y2] segments into the cells they cover. */
+  function expandSegments(segments = []) {
+    return segments.flatMap(([x1, y1, x2, y2]) => {
+      const cells = [];
+      for (let y = Math.min(y1, y2); y <= Math.max(y1, y2); y++) {
+        for (let x = Math.min(x1, x2); x <= Math.max(x1, x2); x++) {
+          cells.push({ x, y });
+        }
+      }
+      return cells;
+    });
+  }
+
+  const normalizeObstacles = (obstacles, size) => obstacles
+    .filter((cell) => !isOutside(cell, size))
+    .map((cell) => ({ x: cell.x, y: cell.y }));
+
+  /** Picks a free cell uniformly; returns food null when the board is full. */
+  function spawnFood(snake, size, rng, obstacles = []) {
+    const free = [];
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const cell = { x, y };
+        if (!occupies(snake, cell) && !occupies(obstacles, cell)) free.push(cell);
+      }
+    }
+    if (!free.length) return { food: null, rng };
+
+    const roll = nextRandom(rng);
+    return { food: free[Math.floor(roll.value * free.length)], rng: roll.rng };
+  }
+
+  // ============================================
+  // STATE TRANSITIONS
+  // ============================================
+
+  /**
+   * `wrap: false` makes the edges lethal; `obstacles` is a list of cells
+   * (see expandSegments) that kill on contact and never hold food.
+   */
+  function createState({ size = DEFAULT_SIZE, seed = 0, wrap = true, obstacles = [] } = {}) {
+    const row = Math.floor(size / 2);
+    const snake = [
+      { x: 4, y: row },
+      { x: 3, y: row },
+      { x: 2, y: row }
+    ];
+    const initialSeed = normalizeSeed(seed);
+    const blocked = normalizeObstacles(obstacles, size);
+    const { food, rng } = spawnFood(snake, size, initialSeed, blocked);
+
+    return {
+      size,
+      seed: initialSeed,
+      wrap,
+      obstacles: blocked,
+      rng,
+      tick: 0,
+      snake,
+      dir: DIRECTIONS.right,
+      nextDir: DIRECTIONS.right,
+      food,
+      score: 0,
+      alive: true,
+      ate: false
+    };
+  }
+
+  /** Queues a direction for the next step, ignoring reversals into the neck. */
+  function turn(state, dir) {
+    if (!state.alive || !dir || isReverse(state.dir, dir)) return state;
+    return { ...state, nextDir: { x: dir.x, y: dir.y } };
+  }
+
+  /** Advances one tick. An optional direction is applied first, as with turn(). */
+  function step(state, input) {
+    const current = input ? turn(state, input) : state;
+    if (!current.alive) return current;
+
+    const dir = current.nextDir;
+    const { size } = current;
+    const moved = { x: current.snake[0].x + dir.x, y: current.snake[0].y + dir.y };
+    if (!current.wrap && isOutside(moved, size)) {
+      return { ...current, dir, tick: current.tick + 1, alive: false, ate: false };
+    }
+
+    const head = {
+      x: (moved.x + size) % size,
+      y: (moved.y + size) % size
+    };
+    const ate = Boolean(current.food) && samePoint(head, current.food);
+
+    // The tail moves out of the way this tick unless the snake grows
+    const body = ate ? current.snake : current.snake.slice(0, -1);
+    if (occupies(body, head) || occupies(current.obstacles, head)) {
+      return { ...current, dir, tick: current.tick + 1, alive: false, ate: false };
+    }
+
+    const snake = [head, ...body];
+    const next = {
+      ...current,
+      dir,
+      snake,
+      tick: current.tick + 1,
+      ate
+    };
+
+    if (ate) {
+      const spawned = spawnFood(snake, size, current.rng, current.obstacles);
+      next.score = current.score + 1;
+      next.food = spawned.food;
+      next.rng = spawned.rng;
+    }
+    return next;
+  }
+
+  // ============================================
+  // VERSUS (TWO SNAKES, ONE FOOD)
+  // ============================================
+
+  const createPlayer = (snake, dir) => ({
+    snake,
+    dir,
+    nextDir: dir,
+    score: 0,
+    alive: true,
+    ate: false
+  });
+
+  /**
+   * Same board options as createState, with two snakes starting on opposite
+   * thirds of the board and facing each other. The round is `over` once fewer
+   * than two snakes are alive or the board is full; `winner` is the index of
+   * the winning player, or null for a draw.
+   */
+  function createVersusState({ size = DEFAULT_SIZE, seed = 0, wrap = true, obstacles = [] } = {}) {
+    const top = Math.floor(size / 3);
+    const bottom = size - 1 - top;
+    const players = [
+      createPlayer([{ x: 4, y: top }, { x: 3, y: top }, { x: 2, y: top }], DIRECTIONS.right),
+      createPlayer([
+        { x: size - 5, y: bottom },
+        { x: size - 4, y: bottom },
+        { x: size - 3, y: bottom }
+      ], DIRECTIONS.left)
+    ];
+    const initialSeed = normalizeSeed(seed);
+    const blocked = normalizeObstacles(obstacles, size);
+    const cells = players.flatMap((player) => player.snake);
+    const { food, rng } = spawnFood(cells, size, initialSeed, blocked);
+
+    return {
+      size,
+      seed: initialSeed,
+      wrap,
+      obstacles: blocked,
+      rng,
+      tick: 0,
+      players,
+      food,
+      over: false,
+      winner: null
+    };
+  }
+
+  /** turn() for one player of a versus state. */
+  function turnPlayer(state, index, dir) {
+    const player = state.players[index];
+    if (state.over || !player || !player.alive || !dir || isReverse(player.dir, dir)) return state;
+    const players = state.players.slice();
+    players[index] = { ...player, nextDir: { x: dir.x, y: dir.y } };
+    return { ...state, players };
+  }
+
+  function stepVersus(state) {
+    if (state.over) return state;
+    const { size } = state;
+
+    const moves = state.players.map((player) => {
+      if (!player.alive) return null;
+      const dir = player.nextDir;
+      const moved = { x: player.snake[0].x + dir.x, y: player.snake[0].y + dir.y };
+      if (!state.wrap && isOutside(moved, size)) return { dir, head: null };
+      return { dir, head: { x: (moved.x + size) % size, y: (moved.y + size) % size } };
+    });
+    const eats = moves.map((move) => Boolean(move && move.head && state.food && samePoint(move.head, state.food)));
+
+    // Bodies as they stand after this tick: tails move on unless their snake eats
+    const bodies = state.players.map((player, i) =>
+      (!moves[i] || eats[i] ? player.snake : player.snake.slice(0, -1))
+    );
+
+    // Head-on: both heads land on one cell, or they pass through each other
+    const [first, second] = moves;
+    const headOn = Boolean(first && first.head && second && second.head) && (
+      samePoint(first.head, second.head)
+      || (samePoint(first.head, state.players[1].snake[0]) && samePoint(second.head, state.players[0].snake[0]))
+    );
+
+    const players = state.players.map((player, i) => {
+      const move = moves[i];
+      if (!move) return { ...player, ate: false };
+      const crashed = !move.head
+        || headOn
+        || bodies.some((body) => occupies(body, move.head))
+        || occupies(state.obstacles, move.head);
+      if (crashed) return { ...player, dir: move.dir, alive: false, ate: false };
+      return {
+        ...player,
+        dir: move.dir,
+        snake: [move.head, ...bodies[i]],
+        score: player.score + (eats[i] ? 1 : 0),
+        ate: eats[i]
+      };
+    });
+
+    const next = { ...state, players, tick: state.tick + 1 };
+    if (players.some((player) => player.ate)) {
+      const cells = players.flatMap((player) => player.snake);
+      const spawned = spawnFood(cells, size, state.rng, state.obstacles);
+      next.food = spawned.food;
+      next.rng = spawned.rng;
+    }
+
+    const alive = players.filter((player) => player.alive);
+    if (alive.length < 2 || !next.food) {
+      next.over = true;
+      if (alive.length === 1) {
+        next.winner = players.indexOf(alive[0]);
+      } else if (alive.length === 2 && players[0].score !== players[1].score) {
+        next.winner = players[0].score > players[1].score ? 0 : 1;
+      }
+    }
+    return next;
+  }
+
+  return {
+    DIRECTIONS,
+    nextRandom,
+    expandSegments,
+    spawnFood,
+    createState,
+    turn,
+    step,
+    createVersusState,
+    turnPlayer,
+    stepVersus
+  };
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeEngine = require('../snake-engine.js');
+const SnakeAutopilot = require('../snake-autopilot.js');
+
+const { DIRECTIONS, createState, expandSegments, step } = SnakeEngine;
+const { plan } = SnakeAutopilot;
+
+// The maze layout from script.js
+const MAZE = expandSegments([
+  [4, 4, 13, 4],
+  [4, 13, 13, 13],
+  [1, 7, 1, 11],
+  [16, 7, 16, 11]
+]);
+
+// Plays greedy the way the game does; returns the score and the longest run of steps without eating
+function playGreedy(seed, steps) {
+  let state = createState({ size: 18, seed, obstacles: MAZE });
+  let trail = [];
+  let hungry = 0;
+  let longest = 0;
+  for (let i = 0; i < steps && state.alive; i++) {
+    if (state.ate) trail = [];
+    const { dir } = plan(state, 'greedy', trail);
+    trail.push(state.snake[0]);
+    state = step(state, dir && DIRECTIONS[dir]);
+    hungry = state.ate ? 0 : hungry + 1;
+    longest = Math.max(longest, hungry);
+  }
+  return { score: state.score, longest };
+}
+
+test('greedy keeps eating on the maze once it can fall back to A*', () => {
+  for (let seed = 0; seed < 20; seed++) {
+    const { score, longest } = playGreedy(seed, 1500);
+    assert.ok(score > 0, `seed ${seed} never ate`);
+    assert.ok(longest < 500, `seed ${seed} went ${longest} steps without eating`);
+  }
+});
+
+test('a repeated head cell hands the move to the A* planner', () => {
+  const state = createState({ size: 18, seed: 1, obstacles: MAZE });
+  const trail = [state.snake[0]];
+  assert.deepEqual(plan(state, 'greedy', trail), plan(state, 'astar'));
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SnakeEngine = require('../snake-engine.js');
+
+const { DIRECTIONS, createState, spawnFood, step, turn } = SnakeEngine;
+
+const samePoint = (a, b) => a.x === b.x && a.y === b.y;
+
+// A hand-placed board: food parked in a corner so it never interferes
+function board(snake, { dir = DIRECTIONS.up, food = { x: 0, y: 0 }, ...options } = {}) {
+  return { ...createState({ size: 10, ...options }), snake, dir, nextDir: dir, food };
+}
+
+function stepTimes(state, times) {
+  let current = state;
+  for (let i = 0; i < times; i++) current = step(current);
+  return current;
+}
+
+test('wrap mode carries the head across the edge', () => {
+  const state = board([{ x: 9, y: 5 }, { x: 8, y: 5 }, { x: 7, y: 5 }], { dir: DIRECTIONS.right });
+  const next = step(state);
+  assert.equal(next.alive, true);
+  assert.deepEqual(next.snake[0], { x: 0, y: 5 });
+});
+
+test('wall mode kills the snake at the edge', () => {
+  const state = board([{ x: 9, y: 5 }, { x: 8, y: 5 }, { x: 7, y: 5 }], { dir: DIRECTIONS.right, wrap: false });
+  const next = step(state);
+  assert.equal(next.alive, false);
+  assert.deepEqual(next.snake, state.snake);
+});
+
+test('wall mode lets the snake run up to the last cell', () => {
+  const state = createState({ size: 10, seed: 3, wrap: false });
+  const next = stepTimes({ ...state, food: { x: 0, y: 0 } }, 5);
+  assert.equal(next.alive, true);
+  assert.equal(next.snake[0].x, 9);
+  assert.equal(step(next).alive, false);
+});
+
+test('moving into the body is fatal', () => {
+  const snake = [{ x: 5, y: 5 }, { x: 5, y: 6 }, { x: 4, y: 6 }, { x: 4, y: 5 }, { x: 4, y: 4 }];
+  const next = step(board(snake), DIRECTIONS.left);
+  assert.equal(next.alive, false);
+});
+
+test('moving into the cell the tail is vacating is allowed', () => {
+  const snake = [{ x: 5, y: 5 }, { x: 5, y: 6 }, { x: 4, y: 6 }, { x: 4, y: 5 }];
+  const next = step(board(snake), DIRECTIONS.left);
+  assert.equal(next.alive, true);
+  assert.deepEqual(next.snake[0], { x: 4, y: 5 });
+  assert.equal(next.snake.length, 4);
+});
+
+test('the tail does not vacate its cell on a tick where the snake grows', () => {
+  const snake = [{ x: 5, y: 5 }, { x: 5, y: 6 }, { x: 4, y: 6 }, { x: 4, y: 5 }];
+  const next = step(board(snake, { food: { x: 4, y: 5 } }), DIRECTIONS.left);
+  assert.equal(next.alive, false);
+});
+
+test('the same seed produces the same game', () => {
+  const play = (seed) => stepTimes(createState({ seed }), 40);
+  assert.deepEqual(play(42), play(42));
+  assert.deepEqual(createState({ seed: 7 }).food, createState({ seed: 7 }).food);
+});
+
+test('spawnFood is deterministic for a given generator state', () => {
+  const snake = createState().snake;
+  assert.deepEqual(spawnFood(snake, 18, 1234), spawnFood(snake, 18, 1234));
+  const foods = [1, 2, 3, 4, 5].map((seed) => spawnFood(snake, 18, seed).food);
+  assert.ok(foods.some((food) => !samePoint(food, foods[0])), 'different seeds should not all agree');
+});
+
+test('food never spawns on the snake or an obstacle', () => {
+  const obstacles = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }];
+  for (let seed = 0; seed < 200; seed++) {
+    const state = createState({ size: 6, seed, obstacles });
+    const { food } = spawnFood(state.snake, state.size, state.rng, state.obstacles);
+    assert.ok(!state.snake.some((cell) => samePoint(cell, food)), `seed ${seed} put food on the snake`);
+    assert.ok(!obstacles.some((cell) => samePoint(cell, food)), `seed ${seed} put food on an obstacle`);
+  }
+});
+
+test('food takes the last free cell and is null on a full board', () => {
+  const size = 3;
+  const cells = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) cells.push({ x, y });
+  }
+  assert.deepEqual(spawnFood(cells.slice(1), size, 99).food, { x: 0, y: 0 });
+  assert.equal(spawnFood(cells, size, 99).food, null);
+});
+
+test('turn rejects a reversal into the neck', () => {
+  const state = createState();
+  assert.equal(turn(state, DIRECTIONS.left), state);
+  assert.deepEqual(step(state, DIRECTIONS.left).dir, DIRECTIONS.right);
+});
+
+test('turn queues a perpendicular direction for the next step', () => {
+  const state = turn(createState(), DIRECTIONS.up);
+  assert.deepEqual(state.nextDir, DIRECTIONS.up);
+  assert.deepEqual(step(state).dir, DIRECTIONS.up);
+});
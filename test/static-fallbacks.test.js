@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { buildHtml } = require('../tools/build-static.js');
+
+test('the static fallbacks in index.html match the data files', () => {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+  const { stale } = buildHtml(html);
+  assert.deepEqual(stale, [], 'run `npm run build:static` to regenerate them');
+});
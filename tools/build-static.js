@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/* ============================================
+   STATIC FALLBACK BUILDER
+   ============================================
+   Usage: node tools/build-static.js [--check]
+
+   Regenerates the no-JS copies of the data files inside index.html,
+   between <!-- static:<name> ... --> and <!-- /static:<name> --> markers,
+   using the English bundle for any translated text. With --check it
+   only reports blocks that are out of date and exits with code 1.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const HTML_FILE = path.join(ROOT, 'index.html');
+const REFERENCE_LANG = 'en';
+
+// ============================================
+// HELPERS
+// ============================================
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Same lookup and {placeholder} filling as t() in script.js, without plurals or Intl
+function createTranslator(bundle) {
+  return (key, params = {}) => {
+    const value = key.split('.').reduce((node, part) => node?.[part], bundle);
+    if (typeof value !== 'string') throw new Error(`Missing ${REFERENCE_LANG} translation "${key}"`);
+    return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  };
+}
+
+const externalLink = (href, label, attrs = '') =>
+  `<a class="link" href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer"${attrs}>${label}</a>`;
+
+// ============================================
+// BLOCKS
+// ============================================
+
+// Mirrors createTimelineItem() and formatPublicationMeta()
+function timelineItem(title, meta, { titleKey, metaKey, extra } = {}) {
+  const titleAttr = titleKey ? ` data-i18n="${titleKey}"` : '';
+  const metaAttr = metaKey ? ` data-i18n="${metaKey}"` : '';
+  const after = extra ? ` ${extra}` : '';
+  return [
+    '<article class="timeline__item" role="listitem">',
+    '  <div class="dot" aria-hidden="true"></div>',
+    '  <div>',
+    `    <h3${titleAttr}>${title}</h3>`,
+    `    <p class="muted"><span${metaAttr}>${meta}</span>${after}</p>`,
+    '  </div>',
+    '</article>'
+  ];
+}
+
+function renderPublications(t) {
+  const { publications } = readJson('data/publications.json');
+  const items = publications
+    .slice()
+    .sort((a, b) => b.year - a.year)
+    .map((pub) => {
+      const note = pub.notes?.[REFERENCE_LANG];
+      const status = pub.status !== 'published' ? t(`publications.status.${pub.status}`) : '';
+      const details = [pub.venue, status, note].filter(Boolean).join(' — ');
+      const collaboration = pub.collaboration
+        ? ` • ${t('publications.collaboration', { name: pub.collaboration })}`
+        : '';
+      const doi = pub.doi && externalLink(`https://doi.org/${pub.doi}`, escapeHtml(`DOI: ${pub.doi}`));
+      return timelineItem(escapeHtml(pub.title), escapeHtml(`${pub.year} - ${details}${collaboration}.`), { extra: doi });
+    });
+
+  items.push(timelineItem(
+    escapeHtml(t('publications.more.title')),
+    escapeHtml(t('publications.more.meta')),
+    { titleKey: 'publications.more.title', metaKey: 'publications.more.meta' }
+  ));
+  return items.flat();
+}
+
+// Manifest text is either a plain string or an {en, it} object
+const localize = (text) => (text && typeof text === 'object' ? text[REFERENCE_LANG] : text);
+
+// Mirrors createRoleCards() and createRoleItem()
+function renderRoles(t) {
+  const { roles } = readJson('data/projects.json');
+  const years = [...new Set(roles.map((role) => role.year))].sort((a, b) => b - a);
+  const cards = years.map((year) => {
+    const items = roles.filter((role) => role.year === year).map((role) => {
+      const link = role.url
+        ? ` (${externalLink(role.url, escapeHtml(t('common.link')), ' data-i18n="common.link"')})`
+        : '';
+      return `    <li><strong>${escapeHtml(localize(role.name))}</strong> — <span>${escapeHtml(localize(role.role))}</span>${link}.</li>`;
+    });
+    return [
+      '<article class="card role-card">',
+      `  <h3>${year}</h3>`,
+      '  <ul class="stack">',
+      ...items,
+      '  </ul>',
+      '</article>'
+    ];
+  });
+  return cards.flatMap((card, i) => (i ? ['', ...card] : card));
+}
+
+// Mirrors createProjectCard(); live previews need JS, so only the thumbnail is kept
+function renderProjects(t) {
+  const { projects } = readJson('data/projects.json');
+  const cards = projects.map((project) => {
+    const live = project.status === 'live' && project.url;
+    const open = live
+      ? `<a class="project-card" href="${escapeHtml(project.url)}" target="_blank" rel="noopener noreferrer">`
+      : '<div class="project-card static">';
+    const image = project.thumb || project.image;
+    const thumb = image
+      ? ['  <div class="project-thumb">', `    <img src="${escapeHtml(image)}" alt="" class="project-thumb-img" loading="lazy">`, '  </div>']
+      : ['  <div class="project-thumb"></div>'];
+    const statusKey = `projects.status.${project.status}`;
+    const body = [
+      '  <div class="project-body">',
+      '    <div class="project-status-row">',
+      `      <p class="label">${escapeHtml(localize(project.label))}</p>`,
+      `      <span class="project-status ${project.status}" data-i18n="${statusKey}">${escapeHtml(t(statusKey))}</span>`,
+      '    </div>',
+      `    <h3>${escapeHtml(localize(project.name))}</h3>`
+    ];
+    if (project.body) body.push(`    <p class="muted">${escapeHtml(localize(project.body))}</p>`);
+    if (project.status === 'demo' && project.contact) {
+      const { address, mailto } = project.contact;
+      body.push(`    <a class="button ghost small-btn" href="mailto:${escapeHtml(address)}" data-i18n="projects.demoCta" data-mailto="${escapeHtml(mailto)}" data-mailto-address="${escapeHtml(address)}">${escapeHtml(t('projects.demoCta'))}</a>`);
+    }
+    body.push('  </div>');
+    return [open, ...thumb, ...body, live ? '</a>' : '</div>'];
+  });
+  return cards.flatMap((card, i) => (i ? ['', ...card] : card));
+}
+
+const BLOCKS = {
+  publications: renderPublications,
+  roles: renderRoles,
+  projects: renderProjects
+};
+
+// ============================================
+// INDEX.HTML
+// ============================================
+
+function buildHtml(html) {
+  const t = createTranslator(readJson(`i18n/${REFERENCE_LANG}.json`));
+  const stale = [];
+
+  const output = Object.entries(BLOCKS).reduce((source, [name, render]) => {
+    const pattern = new RegExp(`([ \\t]*)<!-- static:${name}\\b[^\\n]*-->\\n(?:[\\s\\S]*?\\n)?[ \\t]*<!-- /static:${name} -->`);
+    const match = source.match(pattern);
+    if (!match) throw new Error(`index.html has no <!-- static:${name} --> block`);
+
+    const indent = match[1];
+    const [open] = match[0].trimStart().split('\n');
+    const lines = render(t).map((line) => `${indent}${line}`);
+    const block = [`${indent}${open}`, ...lines, `${indent}<!-- /static:${name} -->`].join('\n');
+    if (block !== match[0]) stale.push(name);
+    return source.replace(match[0], () => block);
+  }, html);
+
+  return { html: output, stale };
+}
+
+function main() {
+  const checkOnly = process.argv.includes('--check');
+  const source = fs.readFileSync(HTML_FILE, 'utf8');
+  const { html, stale } = buildHtml(source);
+
+  if (checkOnly) {
+    if (!stale.length) {
+      console.log('✔ Static fallbacks match the data files.');
+      return 0;
+    }
+    console.log(`✖ Static fallbacks out of date: ${stale.join(', ')}`);
+    console.log('  Run `npm run build:static` to regenerate them.');
+    return 1;
+  }
+
+  if (stale.length) fs.writeFileSync(HTML_FILE, html);
+  console.log(stale.length ? `✔ Rebuilt ${stale.join(', ')}.` : '✔ Static fallbacks already up to date.');
+  return 0;
+}
+
+module.exports = { buildHtml };
+
+if (require.main === module) process.exitCode = main();
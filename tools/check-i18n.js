@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/* ============================================
+   TRANSLATION CONSISTENCY CHECKER
+   ============================================
+   Usage: node tools/check-i18n.js
+
+   Compares every bundle in i18n/ against en.json and cross-checks the
+   keys referenced by index.html and script.js. Prints a report and
+   exits with code 1 when anything needs attention.
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const I18N_DIR = path.join(ROOT, 'i18n');
+const REFERENCE_LANG = 'en';
+const PLURAL_FORMS = ['zero', 'one', 'two', 'few', 'many', 'other'];
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// ============================================
+// BUNDLES
+// ============================================
+
+const isPluralForms = (value) => 
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every((key) => PLURAL_FORMS.includes(key) || /^=\d+$/.test(key));
+
+function flattenKeys(source, prefix = '', out = new Map()) {
+  Object.entries(source).forEach(([key, value]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !isPluralForms(value)) {
+      flattenKeys(value, keyPath, out);
+    } else {
+      out.set(keyPath, value);
+    }
+  });
+  return out;
+}
+
+function loadBundles() {
+  return fs.readdirSync(I18N_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => {
+      const lang = path.basename(file, '.json');
+      const data = JSON.parse(fs.readFileSync(path.join(I18N_DIR, file), 'utf8'));
+      return { lang, file: `i18n/${file}`, keys: flattenKeys(data) };
+    });
+}
+
+// ============================================
+// HTML
+// ============================================
+
+const decodeEntities = (text) => text
+  .replace(/&#(\d+);/g, (m, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (m, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+const normalizeText = (text) => decodeEntities(text.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attrs[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attrs;
+}
+
+function lineAt(html, index) {
+  return html.slice(0, index).split('\n').length;
+}
+
+// Minimal tag walker: enough for a hand-written page, not a general HTML parser
+function parseElements(html) {
+  const elements = [];
+  const stack = [];
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, (m) => ' '.repeat(m.length))
+    .replace(/(<script\b[^>]*>)([\s\S]*?)(<\/script>)/gi, (m, open, body, close) => open + ' '.repeat(body.length) + close);
+  const tagPattern = /<(\/?)([a-zA-Z][\w-]*)([^>]*?)(\/?)>/g;
+  let match;
+
+  while ((match = tagPattern.exec(source))) {
+    const [raw, closing, name, attrSource, selfClosing] = match;
+    const tag = name.toLowerCase();
+
+    if (closing) {
+      const openIndex = stack.map((el) => el.tag).lastIndexOf(tag);
+      if (openIndex === -1) continue;
+      const [el] = stack.splice(openIndex).slice(0, 1);
+      el.inner = html.slice(el.contentStart, match.index);
+      continue;
+    }
+
+    const el = {
+      tag,
+      attrs: parseAttributes(attrSource),
+      line: lineAt(html, match.index),
+      contentStart: match.index + raw.length,
+      inner: ''
+    };
+    elements.push(el);
+    if (!selfClosing && !VOID_TAGS.has(tag)) stack.push(el);
+  }
+  return elements;
+}
+
+function collectHtmlReferences(html) {
+  const refs = [];
+  parseElements(html).forEach((el) => {
+    const { attrs, line } = el;
+    if (attrs['data-i18n']) {
+      refs.push({ key: attrs['data-i18n'], line, source: 'data-i18n', text: normalizeText(el.inner) });
+    }
+    if (attrs['data-i18n-attr-key']) {
+      const attr = attrs['data-i18n-attr'];
+      refs.push({ key: attrs['data-i18n-attr-key'], line, source: `data-i18n-attr-key (${attr})`, text: attrs[attr] });
+    }
+    if (attrs['data-mailto']) {
+      ['subject', 'body'].forEach((part) => {
+        refs.push({ key: `mailto.${attrs['data-mailto']}.${part}`, line, source: 'data-mailto' });
+      });
+    }
+  });
+  return refs;
+}
+
+// ============================================
+// SCRIPT
+// ============================================
+
+// Literal t('a.b') calls count as exact keys, t(`a.b.${x}`) as a used prefix;
+// createTranslatedEl takes its key first, so it is read the same way
+function collectScriptReferences(script) {
+  const keys = new Set();
+  const prefixes = new Set();
+  const pattern = /\b(?:t|createTranslatedEl)\(\s*(['"`])([\w.]+)(\$\{)?/g;
+  let match;
+  while ((match = pattern.exec(script))) {
+    const [, quote, key, interpolation] = match;
+    if (quote === '`' && interpolation) prefixes.add(key);
+    else keys.add(key);
+  }
+  return { keys, prefixes };
+}
+
+// ============================================
+// REPORT
+// ============================================
+
+function check() {
+  const bundles = loadBundles();
+  const reference = bundles.find((bundle) => bundle.lang === REFERENCE_LANG);
+  if (!reference) throw new Error(`Missing reference bundle i18n/${REFERENCE_LANG}.json`);
+
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const script = fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8');
+  const htmlRefs = collectHtmlReferences(html);
+  const scriptRefs = collectScriptReferences(script);
+  const sections = [];
+
+  bundles.filter((bundle) => bundle !== reference).forEach((bundle) => {
+    const missing = [...reference.keys.keys()].filter((key) => !bundle.keys.has(key));
+    const extra = [...bundle.keys.keys()].filter((key) => !reference.keys.has(key));
+    sections.push([`Keys in ${reference.file} missing from ${bundle.file}`, missing]);
+    sections.push([`Keys in ${bundle.file} missing from ${reference.file}`, extra]);
+  });
+
+  sections.push([
+    'index.html references with no matching key',
+    htmlRefs
+      .filter((ref) => !reference.keys.has(ref.key))
+      .map((ref) => `index.html:${ref.line}  ${ref.source} "${ref.key}"`)
+  ]);
+
+  sections.push([
+    'script.js references with no matching key',
+    [...scriptRefs.keys].filter((key) => !reference.keys.has(key))
+  ]);
+
+  const used = new Set([...htmlRefs.map((ref) => ref.key), ...scriptRefs.keys]);
+  sections.push([
+    `Unused keys in ${reference.file}`,
+    [...reference.keys.keys()].filter((key) => 
+      !used.has(key) && ![...scriptRefs.prefixes].some((prefix) => key.startsWith(prefix))
+    )
+  ]);
+
+  sections.push([
+    `index.html default text that differs from ${reference.file}`,
+    htmlRefs
+      .filter((ref) => ref.text !== undefined && reference.keys.has(ref.key))
+      .filter((ref) => typeof reference.keys.get(ref.key) === 'string')
+      .filter((ref) => normalizeText(reference.keys.get(ref.key)) !== ref.text)
+      .map((ref) => [
+        `index.html:${ref.line}  "${ref.key}"`,
+        `    html: ${ref.text}`,
+        `    ${REFERENCE_LANG}:   ${normalizeText(reference.keys.get(ref.key))}`
+      ].join('\n'))
+  ]);
+
+  let problems = 0;
+  sections.forEach(([title, items]) => {
+    if (!items.length) return;
+    problems += items.length;
+    console.log(`\n✖ ${title} (${items.length})`);
+    items.forEach((item) => console.log(`  ${item}`));
+  });
+
+  if (problems) {
+    console.log(`\n${problems} translation problem${problems === 1 ? '' : 's'} found.`);
+    return 1;
+  }
+  console.log(`✔ Translations are consistent (${bundles.map((bundle) => bundle.lang).join(', ')}).`);
+  return 0;
+}
+
+process.exitCode = check();